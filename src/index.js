@@ -3,12 +3,44 @@ import Protobuf from 'pbf';
 import earcut from 'earcut';
 import tilebelt from '@mapbox/tilebelt';
 import { VectorTile } from '@mapbox/vector-tile';
-import { vec3, mat3 } from 'gl-matrix';
+import { vec4, mat4 } from 'gl-matrix';
 import Stats from 'stats.js';
 
-import { createShader, createProgram, getPrimitiveType } from './utils/webgl-utils';
-import { fetchTile, geometryToVertices } from './utils/map-utils';
+import {
+  createShader,
+  createProgram,
+  getPrimitiveType,
+  getLocations,
+  createFramebuffer,
+  deleteFramebuffer,
+} from './utils/webgl-utils';
+import {
+  fetchTile,
+  geometryToVertices,
+  formatTileURL,
+  getRasterImageTiles,
+  getTileOrigin,
+  getTileWrap,
+  wrapTile,
+  wrapX,
+  wrapLng,
+  TILE_EXTENT,
+} from './utils/map-utils';
+import { LINE_VERTEX_SIZE } from './utils/line-utils';
+import { normalizeLayers, getLayerColor, formatTokens, DEFAULT_SOURCE } from './utils/style-utils';
+import { layoutLabel, LABEL_VERTEX_SIZE } from './utils/label-utils';
+import GlyphAtlas, { ATLAS_FONT_SIZE, SDF_RADIUS, SDF_CUTOFF } from './utils/glyph-atlas';
+import CollisionIndex from './utils/collision-index';
+import { buildIconVertices, getIconBox, ICON_VERTEX_SIZE } from './utils/sprite-utils';
+import { projectGeometry, getGeometryBounds, geometryHits } from './utils/query-utils';
+import Evented from './utils/evented';
+import TileCache from './utils/tile-cache';
+import WorkerPool from './utils/worker-pool';
 import MercatorCoordinate from './utils/mercator-coordinate';
+import { getRequest, getRequestConfig, RESOURCE_TYPES } from './utils/request-utils';
+import { pixelsToCanvas, drawAttribution, canvasToBlob } from './utils/image-utils';
+import Marker from './marker';
+import Popup from './popup';
 
 ////////////
 // shaders
@@ -16,13 +48,13 @@ import MercatorCoordinate from './utils/mercator-coordinate';
 const vertexShaderSource = `
   attribute vec2 a_position;
 
-  uniform mat3 u_matrix;
+  uniform mat4 u_matrix;
+  uniform float u_pointSize;
 
   void main() {
-    gl_PointSize = 3.0;
+    gl_PointSize = u_pointSize;
 
-    vec2 position = (u_matrix * vec3(a_position, 1)).xy;
-    gl_Position = vec4(position, 0, 1);
+    gl_Position = u_matrix * vec4(a_position, 0, 1);
   }
 `;
 
@@ -36,37 +68,252 @@ const fragmentShaderSource = `
   }
 `;
 
+// lines are extruded along their normals in the vertex shader,
+// so the width stays constant in screen pixels while zooming
+const lineVertexShaderSource = `
+  attribute vec2 a_position;
+  attribute vec2 a_extrude;
+  attribute float a_side;
+
+  uniform mat4 u_matrix;
+  uniform float u_width; // line width in pixels
+  uniform float u_pixelSize; // tile coordinate units per pixel, at current zoom
+
+  varying float v_side;
+  varying float v_halfWidth;
+
+  void main() {
+    // pad the line by half a pixel on each side for anti-aliasing
+    float halfWidth = u_width / 2.0 + 0.5;
+    vec2 extruded = a_position + a_extrude * halfWidth * u_pixelSize;
+
+    v_side = a_side;
+    v_halfWidth = halfWidth;
+
+    gl_Position = u_matrix * vec4(extruded, 0, 1);
+  }
+`;
+
+const lineFragmentShaderSource = `
+  precision mediump float;
+
+  uniform vec4 u_color;
+  uniform float u_width;
+
+  varying float v_side;
+  varying float v_halfWidth;
+
+  void main() {
+    // distance to the edge of the line in pixels, fade out over the last pixel
+    float distance = (1.0 - abs(v_side)) * v_halfWidth;
+    float alpha = clamp(distance, 0.0, 1.0) * min(u_width, 1.0);
+    gl_FragColor = vec4(u_color.rgb, u_color.a * alpha);
+  }
+`;
+
+// labels are laid out in screen pixels on the cpu, and drawn from an SDF glyph atlas
+const symbolVertexShaderSource = `
+  attribute vec2 a_position;
+  attribute vec2 a_texcoord;
+
+  uniform vec2 u_resolution;
+
+  varying vec2 v_texcoord;
+
+  void main() {
+    vec2 position = (a_position / u_resolution) * 2.0 - 1.0;
+    gl_Position = vec4(position * vec2(1, -1), 0, 1);
+    v_texcoord = a_texcoord;
+  }
+`;
+
+const symbolFragmentShaderSource = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  uniform vec4 u_color;
+  uniform float u_buffer; // distance value of the glyph (or halo) edge
+  uniform float u_gamma; // edge softness
+
+  varying vec2 v_texcoord;
+
+  void main() {
+    float distance = texture2D(u_texture, v_texcoord).a;
+    float alpha = smoothstep(u_buffer - u_gamma, u_buffer + u_gamma, distance);
+    gl_FragColor = vec4(u_color.rgb, u_color.a * alpha);
+  }
+`;
+
+// icons are quads offset from their point in screen pixels
+const iconVertexShaderSource = `
+  attribute vec2 a_position;
+  attribute vec2 a_offset;
+  attribute vec2 a_texcoord;
+
+  uniform mat4 u_matrix;
+  uniform vec2 u_resolution;
+
+  varying vec2 v_texcoord;
+
+  void main() {
+    // offset in clip space after projection, so icons always face the screen
+    vec4 position = u_matrix * vec4(a_position, 0, 1);
+    vec2 offset = (a_offset / u_resolution) * 2.0 * vec2(1, -1);
+    gl_Position = vec4(position.xy + offset * position.w, position.zw);
+    v_texcoord = a_texcoord;
+  }
+`;
+
+const iconFragmentShaderSource = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  uniform float u_opacity;
+
+  varying vec2 v_texcoord;
+
+  void main() {
+    vec4 color = texture2D(u_texture, v_texcoord);
+    gl_FragColor = vec4(color.rgb, color.a * u_opacity);
+  }
+`;
+
+// raster tiles are textured quads, with color adjustments
+const rasterVertexShaderSource = `
+  attribute vec2 a_position;
+  attribute vec2 a_texcoord;
+
+  uniform mat4 u_matrix;
+
+  varying vec2 v_texcoord;
+
+  void main() {
+    gl_Position = u_matrix * vec4(a_position, 0, 1);
+    v_texcoord = a_texcoord;
+  }
+`;
+
+const rasterFragmentShaderSource = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  uniform float u_opacity;
+  uniform float u_brightness; // -1 to 1
+  uniform float u_saturation; // -1 (grayscale) to 1
+
+  varying vec2 v_texcoord;
+
+  void main() {
+    vec4 color = texture2D(u_texture, v_texcoord);
+    float gray = dot(color.rgb, vec3(0.299, 0.587, 0.114));
+    vec3 rgb = mix(vec3(gray), color.rgb, 1.0 + u_saturation);
+    rgb = clamp(rgb + u_brightness, 0.0, 1.0);
+    gl_FragColor = vec4(rgb, color.a * u_opacity);
+  }
+`;
+
 //////////////
 // constants
 //////////////
 const TILE_SIZE = 512;
-const MAX_TILE_ZOOM = 14;
+const MAX_LAT = 85.05;
+const FOV = 0.6435011087932844; // vertical field of view (radians)
+const MAX_TILE_RETRY_DELAY = 30000; // ms
+const MAX_CLIPPED_TILES = 255; // tiles in view with their own stencil value (8 bit stencil buffer), the rest aren't clipped
+const SOURCE_TYPES = ['vector', 'raster', 'geojson', 'pmtiles', 'mbtiles'];
+const PINNED_SOURCE_TYPES = ['geojson', 'pmtiles', 'mbtiles']; // data held by one worker, which loads all their tiles
+
+// highest zoom a source has tiles for, unless it sets `maxzoom` (tiles are overzoomed past it)
+const DEFAULT_MAX_ZOOM = {
+  vector: 14,
+  raster: 18,
+  geojson: 18,
+  pmtiles: 14,
+  mbtiles: 14,
+};
+
+// TileJSON fields read into a source (fields already set on the source are kept)
+const TILEJSON_FIELDS = ['tiles', 'minzoom', 'maxzoom', 'bounds', 'scheme', 'attribution'];
+
+// source fields read from a tile archive's header or metadata, unless the source sets them
+const ARCHIVE_FIELDS = ['minzoom', 'maxzoom', 'bounds', 'attribution'];
+
+// ease-in-out cubic
+const defaultEasing = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+// tiles are cached per source, e.g. "default:3/5/4"
+const getTileKey = (source, tile) => `${source}:${tile}`;
+const parseTileKey = (key) => {
+  const i = key.lastIndexOf(':');
+  return { source: key.slice(0, i), tile: key.slice(i + 1) };
+};
+
+// tiles loaded while features weren't needed (see needsFeatures) only have their vertices
+const isMissingFeatures = (featureSets) => featureSets.some((featureSet) => featureSet.vertices && !featureSet.features);
 
 const defaultOptions = {
-  width: 512,
-  height: 512,
+  width: null, // fixed size in css pixels, fills the container when not set
+  height: null,
+  maxPixelRatio: 2, // cap on the device pixel ratio the canvas is drawn at
   center: [-73.9834558, 40.6932723], // BROOKLYN
   minZoom: 0,
   maxZoom: 18,
   zoom: 13,
+  bearing: 0, // degrees counter-clockwise from north
+  pitch: 0, // degrees of tilt
+  maxPitch: 60,
   tileBuffer: 1,
+  maxTileCacheSize: 512, // max number of cached tiles
+  maxTileCacheBytes: 256 * 1024 * 1024, // max (approximate) bytes of cached tile data
+  workerCount: 2, // tile workers
+  maxParallelTileRequests: 8, // tiles fetched & processed at once (across all workers)
+  maxTileRetries: 3, // times a failed tile is requested again
+  tileRetryDelay: 1000, // ms before a failed tile is requested again, doubled after each failure
+  transformRequest: null, // (url, resourceType) => ({ url, headers, credentials }), to customize requests
   disabledLayers: [],
   debug: false,
+  repaint: false, // draw every frame, instead of only when something changed (for profiling)
 };
 
-class WebGLMap {
+class WebGLMap extends Evented {
   constructor(options = {}) {
-    this.mapOptions = Object.assign(defaultOptions, options);
+    super();
+    this.mapOptions = { ...defaultOptions, ...options }; // (without changing the defaults of other maps)
+    this.layers = normalizeLayers(this.mapOptions.layers); // style layers
 
     // setup stats for debugging
     this.stats = new Stats();
+    this.renderStats = { drawCalls: 0, bufferUploads: 0 }; // counted until the end of the next frame
 
     // init tile fields
-    this.tiles = {}; // cached tile data
+    this.tileCache = new TileCache({ // cached tile data
+      maxTiles: this.mapOptions.maxTileCacheSize,
+      maxBytes: this.mapOptions.maxTileCacheBytes,
+      onEvict: this.releaseTile,
+    });
     this.tilesInView = []; // current visible tiles
-    this.tileWorker = new Worker(new URL('./workers/tile-worker.js', import.meta.url));
-    this.tileWorker.onmessage = this.handleTileWorker;
-    this.tileWorker.onerror = this.handleTileWorkerError;
+    this.loadingTiles = new Set(); // tiles queued or waiting on a worker
+    this.tileErrors = new Map(); // failed tiles -> { message, status, attempts, retryAt }, until they load or leave the view
+    this.snapshots = new Set(); // images being exported, waiting for their tiles (see toBlob)
+    this.markers = new Set(); // markers & popups, positioned over the map every frame (see Marker & Popup)
+    this.queryingFeatures = false; // set once `queryRenderedFeatures` is called, so tiles keep their features (see needsFeatures)
+    this.workerPool = new WorkerPool({
+      createWorker: () => new Worker(new URL('./workers/tile-worker.js', import.meta.url)),
+      size: this.mapOptions.workerCount,
+      maxJobs: this.mapOptions.maxParallelTileRequests,
+      onMessage: this.handleTileWorker,
+      onError: this.handleTileWorkerError,
+    });
+
+    // data sources, `tileServerURL` tiles are the default source
+    this.sources = {};
+    this.nextSourceWorker = 0; // pinned sources are spread across the workers in turn
+
+    // load sprite sheet for point icons
+    this.sprite = null;
+    if (this.mapOptions.sprite) {
+      this.setSprite(this.mapOptions.sprite);
+    }
 
     // setup camera
     const [x, y] = MercatorCoordinate.fromLngLat(this.mapOptions.center);
@@ -74,19 +321,31 @@ class WebGLMap {
       x,
       y,
       zoom: this.mapOptions.zoom,
+      bearing: this.mapOptions.bearing,
+      pitch: this.mapOptions.pitch,
     };
-    this.pixelRatio = 2;
+
+    // event states
+    this.cameraChanges = new Set(); // camera changes in progress ("pan", "zoom")
+    this.loaded = false; // first visible tiles rendered
+    this.idle = false; // nothing loading or moving
 
     // setup canvas
     this.setupDOM();
 
     // set initial states
     this.updateMatrix();
+    if (this.mapOptions.tileServerURL) {
+      this.setDefaultSource(this.mapOptions.tileServerURL);
+    }
+    Object.entries(this.mapOptions.sources || {}).forEach(([id, source]) => this.addSource(id, source));
     this.updateTiles();
 
     // setup event handlers
     this.canvas.addEventListener('mousedown', this.handlePan);
     this.canvas.addEventListener('wheel', this.handleZoom);
+    this.canvas.addEventListener('mousemove', this.handleMouseMove);
+    this.canvas.addEventListener('contextmenu', this.handleContextMenu);
 
     // mobile event handlers
     const Hammer = require('hammerjs');
@@ -95,9 +354,36 @@ class WebGLMap {
     this.hammer.on('panstart', this.handlePan);
     this.hammer.get('pinch').set({ enable: true });
     this.hammer.on('pinch', this.handleZoom);
+    this.hammer.on('tap', this.handleClick);
+    this.hammer.get('rotate').set({ enable: true });
+    this.hammer.get('pinch').recognizeWith(this.hammer.get('rotate'));
+    this.hammer.on('rotatestart', this.handleTouchRotateStart);
+    this.hammer.on('rotate', this.handleTouchRotate);
+    this.hammer.on('rotateend', this.handleTouchRotateEnd);
+
+    // follow the container's size, and the pixel ratio (changes when zooming the page or moving between screens)
+    this.handleResize = () => this.resize();
+    window.addEventListener('resize', this.handleResize);
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.handleResize);
+      this.resizeObserver.observe(this.wrapper);
+    }
+
+    // get GL context, set up again if it's lost (e.g. GPU reset, or too many contexts on the page)
+    this.gl = this.canvas.getContext('webgl', { stencil: true }); // stencil clips tiles, see drawTileMasks
+    this.canvas.addEventListener('webglcontextlost', this.handleContextLost);
+    this.canvas.addEventListener('webglcontextrestored', this.handleContextRestored);
 
-    // get GL context
-    const gl = this.canvas.getContext('webgl');
+    // glyphs for labels
+    this.glyphAtlas = new GlyphAtlas();
+
+    this.setupGL();
+    this.triggerRepaint(); // first frame
+  }
+
+  // compile programs & create the map's GL resources (tiles have their own, see uploadTile)
+  setupGL = () => {
+    const { gl } = this;
     gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
 
     // compile shaders
@@ -109,14 +395,125 @@ class WebGLMap {
     gl.clear(gl.COLOR_BUFFER_BIT);
     gl.useProgram(program);
 
-    // create buffers
-    this.positionBuffer = gl.createBuffer();
+    // setup line program
+    const lineVertexShader = createShader(gl, gl.VERTEX_SHADER, lineVertexShaderSource);
+    const lineFragmentShader = createShader(gl, gl.FRAGMENT_SHADER, lineFragmentShaderSource);
+    const lineProgram = createProgram(gl, lineVertexShader, lineFragmentShader);
+
+    // setup symbol (label) program
+    const symbolVertexShader = createShader(gl, gl.VERTEX_SHADER, symbolVertexShaderSource);
+    const symbolFragmentShader = createShader(gl, gl.FRAGMENT_SHADER, symbolFragmentShaderSource);
+    const symbolProgram = createProgram(gl, symbolVertexShader, symbolFragmentShader);
+
+    // setup icon program
+    const iconVertexShader = createShader(gl, gl.VERTEX_SHADER, iconVertexShaderSource);
+    const iconFragmentShader = createShader(gl, gl.FRAGMENT_SHADER, iconFragmentShaderSource);
+    const iconProgram = createProgram(gl, iconVertexShader, iconFragmentShader);
+
+    // setup raster program
+    const rasterVertexShader = createShader(gl, gl.VERTEX_SHADER, rasterVertexShaderSource);
+    const rasterFragmentShader = createShader(gl, gl.FRAGMENT_SHADER, rasterFragmentShaderSource);
+    const rasterProgram = createProgram(gl, rasterVertexShader, rasterFragmentShader);
+
+    // blend anti-aliased edges
+    gl.enable(gl.BLEND);
+    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    // clip tile data to tiles
+    gl.enable(gl.STENCIL_TEST);
+
+    // create buffers (tiles have their own, see uploadTile)
+    this.labelBuffer = gl.createBuffer();
+    this.tileMaskBuffer = null; // created on first draw
+
+    // glyph texture, filled from the atlas as labels are drawn
+    this.glyphTexture = gl.createTexture();
+    this.glyphAtlas.dirty = true;
 
     // save gl references
-    this.gl = gl;
     this.program = program;
+    this.lineProgram = lineProgram;
+    this.symbolProgram = symbolProgram;
+    this.iconProgram = iconProgram;
+    this.rasterProgram = rasterProgram;
+
+    // look up attribute & uniform locations once
+    this.locations = new Map([program, lineProgram, symbolProgram, iconProgram, rasterProgram].map((p) => [p, getLocations(gl, p)]));
+  }
 
-    this.draw(); // start render loop
+  // stop drawing until the context is restored, forgetting GPU resources of cached tiles (they're gone with the context)
+  handleContextLost = (event) => {
+    event.preventDefault(); // allows the context to be restored
+    this.contextLost = true;
+    window.cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.tileCache.keys().forEach((key) => {
+      (this.tileCache.get(key) || []).forEach((featureSet) => {
+        featureSet.buffers = null;
+        if (featureSet.raster) {
+          featureSet.raster.texture = null;
+          featureSet.raster.buffer = null;
+        }
+      });
+    });
+    this.sprite = null;
+    this.debugOutlines = null; // uploaded again once the context is restored
+  }
+
+  // set up the context again, re-uploading cached tiles
+  handleContextRestored = () => {
+    this.contextLost = false;
+    this.setupGL();
+    this.tileCache.keys().forEach((key) => {
+      const featureSets = this.tileCache.get(key);
+      if (featureSets.some((featureSet) => featureSet.raster)) {
+        this.tileCache.delete(key); // images were closed once uploaded, fetch again
+        return;
+      }
+      const { tile } = parseTileKey(key);
+      this.uploadTile(featureSets, tile.split('/').map(Number));
+    });
+    if (this.mapOptions.sprite) {
+      this.setSprite(this.mapOptions.sprite);
+    }
+    this.updateTiles();
+    this.triggerRepaint();
+  }
+
+  // stop rendering & loading, and remove the map from the page
+  remove = () => {
+    this.stop();
+    this.removed = true;
+    window.cancelAnimationFrame(this.frame);
+    clearTimeout(this.retryTimer?.id);
+    clearTimeout(this.zoomEndTimeout);
+
+    // stop loading
+    this.workerPool.terminate();
+    this.loadingTiles.clear();
+    this.tileErrors.clear();
+    this.sources = {}; // TileJSON still loading is ignored
+    this.snapshots.forEach(({ reject }) => reject(new Error('Map was removed.')));
+    this.snapshots.clear();
+
+    // free GPU resources
+    this.tileCache.clear();
+    this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+
+    // remove listeners & elements
+    this.markers.forEach((marker) => marker.remove());
+    window.removeEventListener('resize', this.handleResize);
+    this.resizeObserver?.disconnect();
+    this.hammer.destroy();
+    this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+    this.canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
+    this.canvas.removeEventListener('mousedown', this.handlePan);
+    this.canvas.removeEventListener('wheel', this.handleZoom);
+    this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+    this.canvas.removeEventListener('contextmenu', this.handleContextMenu);
+    this.wrapper.remove();
+    this.style.remove();
+    this.listeners = {};
   }
 
   setOptions = (options = {}) => {
@@ -124,463 +521,2315 @@ class WebGLMap {
       ...this.mapOptions,
       ...options,
     };
+    if (options.layers) {
+      const previous = this.layers;
+      this.layers = normalizeLayers(options.layers);
+
+      // tiles of a source are built for its style layers, reload sources with added or changed layers
+      const changed = new Set();
+      this.layers.forEach((layer) => {
+        const old = previous.find((l) => l.id === layer.id);
+        if (!old || JSON.stringify(old) !== JSON.stringify(layer)) {
+          changed.add(layer.source);
+        }
+      });
+      changed.forEach((id) => {
+        if (this.sources[id]) {
+          this.reloadSource(id);
+        }
+      });
+      this.updateTiles(); // sources may have new layers to load tiles for
+    }
+    if (options.tileServerURL) {
+      this.setDefaultSource(options.tileServerURL);
+    }
+    this.triggerRepaint();
+  }
+
+  // `tileServerURL` is either a tile URL template, or the URL of a TileJSON document
+  setDefaultSource = (url) => {
+    const isTemplate = /\{(z|quadkey)\}/.test(url);
+    if (this.sources[DEFAULT_SOURCE]) {
+      this.removeSource(DEFAULT_SOURCE);
+    }
+    this.addSource(DEFAULT_SOURCE, isTemplate ? { type: 'vector', tiles: [url] } : { type: 'vector', url });
+  }
+
+  // add a data source for style layers to read from (with `source: id`)
+  //   { type: 'geojson', data, tolerance }: GeoJSON data, sliced into tiles by the tile workers
+  //   { type: 'vector', tiles: [url] }: vector tiles from a tile server
+  //   { type: 'raster', tiles: [url], tileSize }: image tiles (png, jpeg, webp) from a tile server
+  //   { type: 'vector' | 'raster', url }: tiles described by a TileJSON document
+  //   { type: 'pmtiles', url | data }: PMTiles archive, read with range requests (or from a File / ArrayBuffer)
+  //   { type: 'mbtiles', url | data, wasmURL }: MBTiles archive, read with sql.js
+  addSource = (id, source) => {
+    if (this.sources[id]) {
+      console.warn(`Source "${id}" already exists.`);
+      return this;
+    }
+    if (!SOURCE_TYPES.includes(source.type)) {
+      console.warn('Unsupported source type:', source.type);
+      return this;
+    }
+    if ((source.type === 'vector' || source.type === 'raster') && !source.tiles && !source.url) {
+      console.warn(`Source "${id}" needs \`tiles\` or a TileJSON \`url\`.`);
+      return this;
+    }
+    if (source.type === 'mbtiles' && !source.wasmURL) {
+      console.warn(`MBTiles source "${id}" needs a \`wasmURL\` for sql.js's \`sql-wasm.wasm\` file.`);
+      return this;
+    }
+
+    this.sources[id] = { ...source, id };
+    if (PINNED_SOURCE_TYPES.includes(source.type)) {
+      this.sources[id].worker = this.nextSourceWorker++ % this.workerPool.workers.length;
+    }
+    if (source.type === 'pmtiles' || source.type === 'mbtiles') {
+      this.sources[id].loaded = false; // until the worker sends the archive's metadata, see handleSourceMetadata
+    }
+    if (source.type === 'geojson') {
+      this.sources[id].setData = (data) => this.setSourceData(id, data);
+    }
+    if ((source.type === 'vector' || source.type === 'raster') && source.url && !source.tiles) {
+      this.loadTileJSON(id);
+    }
+    this.postSource(id);
+    this.updateAttribution();
+    this.updateTiles();
+    return this;
+  }
+
+  // fetch the TileJSON of a source, its tiles are loaded once it arrives
+  //   https://github.com/mapbox/tilejson-spec/tree/master/3.0.0
+  loadTileJSON = async (id) => {
+    const source = this.sources[id];
+    source.loaded = false;
+    try {
+      const request = this.getRequest(source.url, RESOURCE_TYPES.SOURCE);
+      const { data } = await axios.get(request.url, { ...getRequestConfig(request), responseType: 'json' });
+      if (this.sources[id] !== source) {
+        return; // removed while loading
+      }
+      TILEJSON_FIELDS.forEach((field) => {
+        source[field] = source[field] ?? data[field];
+      });
+      if (!source.tiles?.length) {
+        throw new Error('TileJSON has no tiles');
+      }
+      source.loaded = true;
+      this.postSource(id);
+      this.updateAttribution();
+      this.updateTiles();
+    } catch (e) {
+      console.warn(`Failed to load TileJSON for source "${id}".`, e);
+      this.fire('error', { source: id, error: e.message });
+    }
+  }
+
+  // send a source to the tile workers, or remove it from them if it no longer exists
+  // (GeoJSON data & archives only go to the source's own worker, so they're only held once)
+  postSource = (id, worker = this.sources[id]?.worker) => {
+    const source = this.sources[id];
+    let message = { type: 'source', id, source: null };
+    if (source) {
+      const { type, tileSize, url, data, tolerance, wasmURL } = source;
+      const request = (type === 'pmtiles' || type === 'mbtiles') && url && !data
+        ? this.getRequest(url, RESOURCE_TYPES.SOURCE) // to read the archive's metadata
+        : undefined;
+      message = { type: 'source', id, source: { type, tileSize, url, data, tolerance, wasmURL, request } };
+    }
+    if (worker !== undefined) {
+      this.workerPool.post(message, [], worker);
+    } else {
+      this.workerPool.broadcast(message);
+    }
+  }
+
+  getSource = (id) => {
+    return this.sources[id];
+  }
+
+  // attributions of the sources (from TileJSON, or the source's `attribution` option), without duplicates
+  getAttribution = () => {
+    const attributions = Object.values(this.sources).map((source) => source.attribution).filter(Boolean);
+    return [...new Set(attributions)];
+  }
+
+  // show source attributions in the corner of the map (attributions may contain links)
+  updateAttribution = () => {
+    if (this.attribution) {
+      this.attribution.innerHTML = this.getAttribution().join(' | ');
+    }
+  }
+
+  // remove a data source, along with its tiles
+  removeSource = (id) => {
+    const source = this.sources[id];
+    if (!source) {
+      return this;
+    }
+    delete this.sources[id];
+    this.postSource(id, source.worker);
+    this.updateAttribution();
+    this.tileCache.keys().forEach((key) => {
+      if (parseTileKey(key).source === id) {
+        this.workerPool.cancel(key);
+        this.loadingTiles.delete(key);
+        this.tileCache.delete(key);
+      }
+    });
+    this.clearTileErrors(id);
+    this.triggerRepaint();
+    return this;
+  }
+
+  // replace the data of a GeoJSON source
+  setSourceData = (id, data) => {
+    const source = this.sources[id];
+    if (source?.type !== 'geojson') {
+      console.warn(`No GeoJSON source "${id}".`);
+      return this;
+    }
+    source.data = data;
+    this.postSource(id);
+    this.reloadSource(id);
+    return this;
+  }
+
+  // load the tiles of a source again, tiles in view keep their current data until the new data arrives
+  reloadSource = (id) => {
+    const source = this.sources[id];
+    const inView = new Map();
+    this.tilesInView.forEach((tile) => {
+      const sourceTile = this.getSourceTile(source, tile);
+      if (sourceTile) {
+        inView.set(getTileKey(id, sourceTile.join('/')), sourceTile);
+      }
+    });
+    this.tileCache.keys().forEach((key) => {
+      if (parseTileKey(key).source !== id) {
+        return;
+      }
+      if (this.loadingTiles.has(key)) {
+        this.workerPool.cancel(key); // would have old data
+        this.loadingTiles.delete(key);
+      }
+      const tile = inView.get(key);
+      if (tile && this.tileCache.get(key).length > 0) {
+        this.requestTile(source, tile.join('/'), this.getTilePriority(tile, 0));
+      } else {
+        this.tileCache.delete(key);
+      }
+    });
+    this.clearTileErrors(id); // new data, so failed tiles start over
+    this.updateTiles();
+  }
+
+  // forget failed tiles (of a source, or all sources), so they're requested again when needed
+  clearTileErrors = (id) => {
+    [...this.tileErrors.keys()].forEach((key) => {
+      if ((id === undefined || parseTileKey(key).source === id) && !this.loadingTiles.has(key)) {
+        this.tileErrors.delete(key);
+        this.tileCache.delete(key);
+      }
+    });
+  }
+
+  // get style layer by id
+  getLayer = (id) => {
+    return this.layers.find((layer) => layer.id === id);
+  }
+
+  // check if a style layer should be drawn
+  isLayerVisible = (layer) => {
+    const { disabledLayers } = this.mapOptions;
+    if (!layer.visible) {
+      return false;
+    }
+    return !disabledLayers.includes(layer.id) && !disabledLayers.includes(layer.sourceLayer);
+  }
+
+  // add a style layer, on top or below the layer `beforeId`
+  addLayer = (layer, beforeId) => {
+    if (this.getLayer(layer.id)) {
+      console.warn(`Layer "${layer.id}" already exists.`);
+      return this;
+    }
+    const [newLayer] = normalizeLayers([layer]);
+    const index = this.layers.findIndex((l) => l.id === beforeId);
+    this.layers.splice(index === -1 ? this.layers.length : index, 0, newLayer);
+
+    // tiles of the source are built for its style layers
+    if (this.sources[newLayer.source]) {
+      this.reloadSource(newLayer.source);
+    }
+    return this;
+  }
+
+  // remove a style layer (its tile data is dropped as tiles reload)
+  removeLayer = (id) => {
+    const layer = this.getLayer(id);
+    if (!layer) {
+      console.warn(`No layer "${id}".`);
+      return this;
+    }
+    this.layers.splice(this.layers.indexOf(layer), 1);
+    this.updateTiles();
+    return this;
+  }
+
+  // move a style layer to the top, or below the layer `beforeId`
+  moveLayer = (id, beforeId) => {
+    const layer = this.getLayer(id);
+    if (!layer || id === beforeId) {
+      return this;
+    }
+    this.layers.splice(this.layers.indexOf(layer), 1);
+    const index = this.layers.findIndex((l) => l.id === beforeId);
+    this.layers.splice(index === -1 ? this.layers.length : index, 0, layer);
+    this.triggerRepaint();
+    return this;
+  }
+
+  // update paint properties of a style layer (color, opacity, visible)
+  setLayerProperties = (id, properties = {}) => {
+    const layer = this.getLayer(id);
+    if (layer) {
+      Object.assign(layer, properties);
+      this.triggerRepaint();
+    }
   }
 
   // update map view based camera state
   updateMatrix = () => {
-    // update camera matrix
-    const { camera } = this;
-    const zoomScale = 1 / Math.pow(2, camera.zoom); // inverted
-    const widthScale = TILE_SIZE / this.canvas.width;
-    const heightScale = TILE_SIZE / this.canvas.height;
-
-    const cameraMat = mat3.create();
-    mat3.translate(cameraMat, cameraMat, [camera.x, camera.y]);
-    mat3.scale(cameraMat, cameraMat, [zoomScale / widthScale, zoomScale / heightScale]);
+    const { camera, width, height } = this; // css pixels
+    const pixelsPerUnit = (TILE_SIZE * Math.pow(2, camera.zoom)) / 2; // clip space -> pixels at current zoom
+    const pitch = (camera.pitch * Math.PI) / 180;
+    const bearing = (camera.bearing * Math.PI) / 180;
+
+    // distance from camera to center, where 1 unit is 1 pixel on screen
+    const halfFov = FOV / 2;
+    const cameraToCenterDistance = (0.5 / Math.tan(halfFov)) * height;
+
+    // far plane just past the furthest visible point (top of the screen when pitched)
+    const groundAngle = Math.PI / 2 + pitch;
+    const topHalfSurfaceDistance = (Math.sin(halfFov) * cameraToCenterDistance) /
+      Math.sin(Math.max(0.01, Math.min(Math.PI - 0.01, Math.PI - groundAngle - halfFov)));
+    const farZ = (Math.cos(Math.PI / 2 - pitch) * topHalfSurfaceDistance + cameraToCenterDistance) * 1.01;
+    const nearZ = height / 50;
+    const projectionMat = mat4.perspective([], FOV, width / height, nearZ, farZ);
+
+    // move camera to origin, scale to pixels, rotate, tilt, then push away from the camera
+    // (plain arrays keep double precision on the cpu)
+    const viewMat = mat4.identity([]);
+    mat4.translate(viewMat, viewMat, [0, 0, -cameraToCenterDistance]);
+    mat4.rotateX(viewMat, viewMat, -pitch);
+    mat4.rotateZ(viewMat, viewMat, bearing);
+    mat4.scale(viewMat, viewMat, [pixelsPerUnit, pixelsPerUnit, pixelsPerUnit]);
+    mat4.translate(viewMat, viewMat, [-camera.x, -camera.y, 0]);
 
     // update view projection matrix
-    const mat = mat3.create();
-    const viewMat = mat3.invert([], cameraMat);
-    const viewProjectionMat = mat3.multiply([], mat, viewMat);
-    this.viewProjectionMat = viewProjectionMat;
+    this.viewProjectionMat = mat4.multiply([], projectionMat, viewMat);
+    this.inverseViewProjectionMat = mat4.invert([], this.viewProjectionMat);
+    this.tileMatrices = new Map(); // tile -> matrix, see getTileMatrix
 
     if (this.mapOptions.debug) {
       this.updateDebugInfo();
     }
+    this.triggerRepaint();
+  }
+
+  // switch the camera & size the map is drawn with, returning the previous ones (see toBlob)
+  setView = ({ camera, width, height, pixelRatio }) => {
+    const previous = { camera: this.camera, width: this.width, height: this.height, pixelRatio: this.pixelRatio };
+    Object.assign(this, { camera, width, height, pixelRatio });
+    this.updateMatrix();
+    return previous;
+  }
+
+  // tiles covering the visible area (a trapezoid when pitched), starting from the world tile of each copy of the world
+  // in view (see getTileWrap). when pitched, tiles far from the center stop at lower zoom levels
+  getCoveringTiles = (maxZ) => {
+    const { camera, width, height } = this;
+    const visibleArea = this.getVisibleArea();
+    const ring = [...visibleArea, visibleArea[0]];
+
+    // radius (in tiles of each level) around the center that gets full detail,
+    // always covering the whole viewport when not pitched
+    const tileScreenSize = TILE_SIZE * Math.pow(2, camera.zoom - maxZ);
+    const radius = Math.max(3, Math.hypot(width, height) / 2 / tileScreenSize + 1);
+
+    const tiles = [];
+    const visit = (x, y, z) => {
+      const size = 2 / Math.pow(2, z); // tile size in clip space
+      const box = [-1 + x * size, 1 - (y + 1) * size, -1 + (x + 1) * size, 1 - y * size];
+      if (!geometryHits({ polygons: [[ring]] }, { box })) {
+        return; // not visible
+      }
+
+      // distance from center to tile, in tiles of this zoom level
+      const dx = Math.max(0, box[0] - camera.x, camera.x - box[2]);
+      const dy = Math.max(0, box[1] - camera.y, camera.y - box[3]);
+      const distance = Math.max(dx, dy) / size;
+      if (z === maxZ || distance > radius) {
+        tiles.push([x, y, z]);
+        return;
+      }
+
+      visit(x * 2, y * 2, z + 1);
+      visit(x * 2 + 1, y * 2, z + 1);
+      visit(x * 2, y * 2 + 1, z + 1);
+      visit(x * 2 + 1, y * 2 + 1, z + 1);
+    };
+    const xs = ring.map(([x]) => x);
+    for (let wrap = Math.floor((Math.min(...xs) + 1) / 2); wrap <= Math.floor((Math.max(...xs) + 1) / 2); wrap++) {
+      visit(wrap, 0, 0);
+    }
+
+    return tiles;
+  }
+
+  // load priority of a tile, lower loads first:
+  // visible tiles nearest the center, then buffered neighbours, then parents
+  getTilePriority = ([x, y, z], group) => {
+    const size = 2 / Math.pow(2, z); // tile size in clip space
+    const centerX = -1 + (x + 0.5) * size;
+    const centerY = 1 - (y + 0.5) * size;
+    const distance = Math.hypot(centerX - this.camera.x, centerY - this.camera.y); // at most ~2.83
+    return group * 10 + distance;
+  }
+
+  // zoom range of the tiles of a source (256px raster tiles are fetched a zoom level below, see fetchRasterTile)
+  getSourceZoomRange = (source) => {
+    const offset = source.type === 'raster' && source.tileSize === 256 ? 1 : 0;
+    const minzoom = source.minzoom ?? 0;
+    const maxzoom = source.maxzoom ?? DEFAULT_MAX_ZOOM[source.type];
+    return [Math.max(0, minzoom - offset), Math.max(0, maxzoom - offset)];
+  }
+
+  // tile of a source to draw for a tile [x, y, z] of the map (in any copy of the world):
+  // the tile's ancestor past the source's max zoom (overzoomed),
+  // or null below the source's min zoom or outside its bounds
+  getSourceTile = (source, tile) => {
+    const [minzoom, maxzoom] = this.getSourceZoomRange(source);
+    if (tile[2] < minzoom) {
+      return null;
+    }
+    let sourceTile = wrapTile(tile);
+    while (sourceTile[2] > maxzoom) {
+      sourceTile = tilebelt.getParent(sourceTile);
+    }
+    if (source.bounds) {
+      const [west, south, east, north] = tilebelt.tileToBBOX(sourceTile);
+      const [minLng, minLat, maxLng, maxLat] = source.bounds;
+      if (west >= maxLng || east <= minLng || south >= maxLat || north <= minLat) {
+        return null;
+      }
+    }
+    return sourceTile;
+  }
+
+  // sources with tiles to draw (used by a style layer, and not waiting on their TileJSON)
+  getActiveSources = () => {
+    return Object.values(this.sources).filter((source) => (
+      source.loaded !== false && this.layers.some((layer) => layer.source === source.id)
+    ));
+  }
+
+  // tiles covering the viewport, down to the highest zoom any source has tiles for
+  getTilesInView = () => {
+    const sources = this.getActiveSources();
+    const maxTileZoom = sources.length > 0
+      ? Math.max(...sources.map((source) => this.getSourceZoomRange(source)[1]))
+      : DEFAULT_MAX_ZOOM.vector;
+    const z = Math.min(Math.trunc(this.camera.zoom), maxTileZoom);
+    return this.getCoveringTiles(z);
+  }
+
+  updateTiles = () => {
+    // update visible tiles based on viewport
+    const sources = this.getActiveSources();
+    this.tilesInView = this.getTilesInView();
+
+    // get additional tiles to buffer (based on buffer setting)
+    this.bufferedTiles = [];
+    const parentTiles = [];
+    const { tileBuffer } = this.mapOptions;
+    this.tilesInView.forEach(([x, y, z]) => {
+      for (let bufX = x - tileBuffer; bufX <= x + tileBuffer; bufX++) {
+        for (let bufY = y - tileBuffer; bufY <= y + tileBuffer; bufY++) {
+          this.bufferedTiles.push([bufX, bufY, z]);
+        }
+      }
+
+      // get parents 2 levels up
+      if (z > 0) {
+        parentTiles.push(tilebelt.getParent([x, y, z]));
+      }
+      if (z > 1) {
+        parentTiles.push(tilebelt.getParent(tilebelt.getParent([x, y, z])));
+      }
+    });
+
+    // tiles to load with their priority (removing duplicates, keeping the highest priority),
+    // including the tiles of images being exported
+    const snapshotTiles = [...this.snapshots].flatMap((snapshot) => snapshot.tilesInView);
+    const tilesToLoad = new Map();
+    [this.tilesInView, snapshotTiles, this.bufferedTiles, parentTiles].forEach((tiles, group) => {
+      tiles.forEach((tile) => {
+        const key = tile.join('/');
+        const priority = this.getTilePriority(tile, group);
+        if (!tilesToLoad.has(key) || priority < tilesToLoad.get(key)) {
+          tilesToLoad.set(key, priority);
+        }
+      });
+    });
+    this.bufferedTiles.push(...parentTiles);
+
+    // make sure tiles are in range (x wraps around the world)
+    tilesToLoad.forEach((priority, tile) => {
+      const [, y, z] = tile.split('/').map(Number);
+      const N = Math.pow(2, z);
+      const validY = y >= 0 && y < N;
+      if (!validY || z < 0) {
+        tilesToLoad.delete(tile);
+      }
+    });
+
+    // load tiles of every source used by a style layer
+    const wantedTiles = new Set();
+    const needsFeatures = this.needsFeatures();
+    sources.forEach((source) => {
+      // tiles of the source, several map tiles may share an overzoomed tile
+      const sourceTiles = new Map();
+      tilesToLoad.forEach((priority, tile) => {
+        const sourceTile = this.getSourceTile(source, tile.split('/').map(Number))?.join('/');
+        if (sourceTile && (!sourceTiles.has(sourceTile) || priority < sourceTiles.get(sourceTile))) {
+          sourceTiles.set(sourceTile, priority);
+        }
+      });
+
+      sourceTiles.forEach((priority, tile) => {
+        const key = getTileKey(source.id, tile);
+        wantedTiles.add(key);
+        if (this.loadingTiles.has(key)) {
+          this.workerPool.request(key, null, priority); // update priority
+          return;
+        }
+        const error = this.tileErrors.get(key);
+        if (error) {
+          if (error.retryAt !== null && error.retryAt <= Date.now()) {
+            this.requestTile(source, tile, priority); // try again
+          }
+          return;
+        }
+        const featureSets = this.tileCache.get(key);
+        if (featureSets) {
+          if (needsFeatures && isMissingFeatures(featureSets)) {
+            this.requestTile(source, tile, priority); // load again with features, drawn as is until then
+          }
+          return; // already loaded, no need to fetch
+        }
+        this.requestTile(source, tile, priority);
+      });
+    });
+
+    // drop requests for tiles that are no longer wanted, before they're fetched or parsed
+    this.loadingTiles.forEach((key) => {
+      if (!wantedTiles.has(key)) {
+        this.workerPool.cancel(key);
+        this.loadingTiles.delete(key);
+        this.tileCache.delete(key);
+      }
+    });
+
+    // forget failed tiles that are no longer wanted (so errors don't pile up), they're tried again if they come back into view
+    this.tileErrors.forEach((error, key) => {
+      if (!wantedTiles.has(key)) {
+        this.tileErrors.delete(key);
+        this.tileCache.delete(key);
+      }
+    });
+
+    this.pruneTileCache();
+    this.triggerRepaint();
   }
 
-  updateTiles = () => {
-    // update visible tiles based on viewport
-    const bbox = this.getBounds();
-    const z = Math.min(Math.trunc(this.camera.zoom), MAX_TILE_ZOOM);
-    const minTile = tilebelt.pointToTile(bbox[0], bbox[3], z);
-    const maxTile = tilebelt.pointToTile(bbox[2], bbox[1], z);
+  // hand off a tile ("x/y/z") of a source to the workers for fetching & processing
+  requestTile = (source, tile, priority) => {
+    const key = getTileKey(source.id, tile);
+    if (!this.tileCache.has(key)) {
+      this.tileCache.set(key, []); // temp hold for request
+    }
+    this.loadingTiles.add(key);
+    this.idle = false;
+
+    // requests are made when the job is sent to a worker, so they have the latest headers
+    this.workerPool.request(key, () => ({
+      tile,
+      source: source.id,
+      layers: this.layers.filter((layer) => layer.source === source.id),
+      requests: this.getTileRequests(source, tile),
+      includeFeatures: this.needsFeatures(),
+    }), priority, source.worker);
+  }
+
+  // whether tiles need their GeoJSON features, which are only used for querying:
+  // once features are queried, or while anything but popups (closing on click) listens for clicks or mouse moves
+  needsFeatures = () => {
+    const popupListeners = new Set([...this.markers].map((overlay) => overlay.remove));
+    return this.queryingFeatures || ['click', 'mousemove'].some((type) => (
+      (this.listeners[type] || []).some((listener) => !popupListeners.has(listener))
+    ));
+  }
+
+  // listen for an event, tiles in view are loaded again with their features once something listens
+  // for clicks or mouse moves (`once` listens through `on` too)
+  on = (type, listener) => {
+    this.listeners[type] = this.listeners[type] || [];
+    this.listeners[type].push(listener);
+    if ((type === 'click' || type === 'mousemove') && !this.removed) {
+      this.updateTiles();
+    }
+    return this;
+  }
+
+  // requests a worker makes for a tile ("x/y/z") of a source
+  getTileRequests = (source, tile) => {
+    const { type, tiles, scheme, subdomains, tileSize, url, data } = source;
+    if (type === 'vector' || type === 'raster') {
+      const imageTiles = type === 'raster' ? getRasterImageTiles(tile, tileSize) : [tile.split('/')];
+      return imageTiles.map((imageTile) => (
+        this.getRequest(formatTileURL({ tile: imageTile.join('/'), tiles, scheme, subdomains }), RESOURCE_TYPES.TILE)
+      ));
+    }
+    if ((type === 'pmtiles' || type === 'mbtiles') && url && !data) {
+      return [this.getRequest(url, RESOURCE_TYPES.SOURCE)];
+    }
+    return []; // GeoJSON & local archives
+  }
+
+  // `{ url, headers, credentials }` for a URL, customized by the `transformRequest` option
+  getRequest = (url, resourceType) => {
+    return getRequest(this.mapOptions.transformRequest, url, resourceType);
+  }
+
+  // replace the `transformRequest` option, e.g. to use a refreshed auth token
+  // (tiles already requested keep their headers, failed tiles are requested again)
+  setTransformRequest = (transformRequest) => {
+    this.mapOptions.transformRequest = transformRequest;
+    this.clearTileErrors();
+    this.updateTiles();
+    return this;
+  }
+
+  // evict old tiles from the cache, keeping visible tiles, their placeholders and tiles still loading
+  pruneTileCache = () => {
+    const tiles = [];
+    [...this.tilesInView, ...[...this.snapshots].flatMap((snapshot) => snapshot.tilesInView)].forEach((tile) => {
+      tiles.push(tile);
+      const parent = tilebelt.getParent(tile);
+      if (parent) {
+        tiles.push(parent);
+      }
+      tiles.push(...(tilebelt.getChildren(tile) || []));
+    });
+
+    const retain = new Set(this.loadingTiles);
+    Object.values(this.sources).forEach((source) => {
+      tiles.forEach((tile) => {
+        const sourceTile = this.getSourceTile(source, tile);
+        if (sourceTile) {
+          retain.add(getTileKey(source.id, sourceTile.join('/')));
+        }
+      });
+    });
+    this.tileCache.prune(retain);
+  }
+
+  // free GPU resources of a tile removed from the cache
+  releaseTile = (tile, featureSets = []) => {
+    featureSets.forEach((featureSet) => {
+      Object.values(featureSet.buffers || {}).forEach((buffer) => this.gl.deleteBuffer(buffer));
+      featureSet.buffers = null;
+      featureSet.iconVertices = null;
+
+      // raster images, textures & quads are shared by the style layers of a tile
+      const { raster } = featureSet;
+      if (raster) {
+        raster.image?.close();
+        raster.image = null;
+        if (raster.texture) {
+          this.gl.deleteTexture(raster.texture);
+          this.gl.deleteBuffer(raster.buffer);
+          raster.texture = null;
+          raster.buffer = null;
+        }
+      }
+    });
+  }
+
+  // feature sets of every source for a tile in view
+  getTileFeatureSets = (tile) => {
+    const featureSets = [];
+    const sources = Object.values(this.sources);
+    sources.forEach((source) => {
+      const sourceTile = this.getSourceTile(source, tile);
+      if (!sourceTile) {
+        return;
+      }
+      const key = getTileKey(source.id, sourceTile.join('/'));
+      let sourceFeatureSets = this.tileCache.get(key);
+      if (!sourceFeatureSets?.length && (this.loadingTiles.has(key) || this.tileErrors.has(key))) {
+        sourceFeatureSets = this.getPlaceholderTile(sourceTile, source.id);
+      }
+      featureSets.push(...(sourceFeatureSets || []));
+    });
+    return featureSets;
+  }
+
+  // if current tile is not loaded (or failed to load), just render scaled versions of parent or children
+  getPlaceholderTile = (tile, source) => {
+    // use parent if available
+    const parent = tilebelt.getParent(tile)?.join('/');
+    const parentFeatureSet = parent && this.tileCache.get(getTileKey(source, parent));
+    if (parentFeatureSet?.length > 0) {
+      return parentFeatureSet;
+    }
+
+    // use whatever children are available
+    const childFeatureSets = [];
+    const children = (tilebelt.getChildren(tile) || []).map(t => t.join('/'));
+    children.forEach((child) => {
+      const featureSet = this.tileCache.get(getTileKey(source, child));
+      if (featureSet?.length > 0) {
+        childFeatureSets.push(...featureSet);
+      }
+    });
+    return childFeatureSets;
+  }
+
+  // load a sprite sheet (`{url}.json` & `{url}.png`) through the tile worker
+  setSprite = (url) => {
+    this.mapOptions.sprite = url;
+    this.workerPool.post({
+      type: 'sprite',
+      indexRequest: this.getRequest(`${url}.json`, RESOURCE_TYPES.SPRITE_JSON),
+      imageRequest: this.getRequest(`${url}.png`, RESOURCE_TYPES.SPRITE_IMAGE),
+    });
+  }
+
+  // update tiles with data from worker
+  handleTileWorker = (workerEvent) => {
+    this.triggerRepaint(); // tiles in view (or their placeholders) may have changed
+    if (workerEvent.data.type === 'sprite') {
+      this.handleSprite(workerEvent.data);
+      return;
+    }
+    if (workerEvent.data.type === 'metadata') {
+      this.handleSourceMetadata(workerEvent.data);
+      return;
+    }
+
+    const { tile, source, tileData, error, status, aborted } = workerEvent.data;
+    const key = getTileKey(source, tile);
+    this.loadingTiles.delete(key);
+
+    if (tileData) {
+      this.tileErrors.delete(key);
+      this.uploadTile(tileData, tile.split('/').map(Number));
+      this.tileCache.set(key, tileData);
+      this.pruneTileCache();
+      this.fireCameraEvent('tileload', { tile, source });
+      if (isMissingFeatures(tileData) && this.needsFeatures()) {
+        this.updateTiles(); // requested before features were needed
+      }
+    } else if (aborted) {
+      this.tileCache.delete(key); // fetch again next time it's needed
+    } else {
+      // keep the error (apart from the LRU cache, so it isn't evicted), so the tile is only
+      // requested again after a delay (up to `maxTileRetries` times)
+      const { maxTileRetries, tileRetryDelay } = this.mapOptions;
+      const attempts = (this.tileErrors.get(key)?.attempts || 0) + 1;
+      const retry = attempts <= maxTileRetries;
+      const delay = Math.min(tileRetryDelay * Math.pow(2, attempts - 1), MAX_TILE_RETRY_DELAY);
+      this.tileErrors.set(key, {
+        message: error,
+        status,
+        attempts,
+        retryAt: retry ? Date.now() + delay : null,
+      });
+      this.scheduleTileRetry();
+      this.fireCameraEvent('tileerror', { tile, source, error, status, attempts, retry });
+    }
+  }
+
+  // apply the zoom range & bounds an archive was opened with (like TileJSON fields), then load its tiles
+  handleSourceMetadata = ({ id, metadata, error }) => {
+    const source = this.sources[id];
+    if (!source || source.loaded !== false) {
+      return; // removed in the meantime
+    }
+    if (error) {
+      console.warn(`Failed to open the archive of source "${id}".`, error);
+      this.fire('error', { source: id, error });
+      return;
+    }
+    ARCHIVE_FIELDS.forEach((field) => {
+      source[field] = source[field] ?? metadata[field];
+    });
+    source.loaded = true;
+    this.updateAttribution();
+    this.updateTiles();
+  }
+
+  // update tiles once the next failed tile can be requested again
+  scheduleTileRetry = () => {
+    const now = Date.now();
+    const retryAt = Math.min(...[...this.tileErrors.values()]
+      .map((error) => error.retryAt)
+      .filter((time) => time > now));
+    if (retryAt === Infinity || this.retryTimer?.retryAt <= retryAt) {
+      return; // nothing to retry, or tiles are updated sooner
+    }
+    clearTimeout(this.retryTimer?.id);
+    this.retryTimer = {
+      retryAt,
+      id: setTimeout(() => {
+        this.retryTimer = null;
+        this.updateTiles();
+        this.scheduleTileRetry(); // tiles failed later on
+      }, retryAt - now),
+    };
+  }
+
+  // upload sprite image from worker to a texture
+  handleSprite = ({ index, image }) => {
+    const { gl } = this;
+    if (!image) {
+      return; // failed to load
+    }
+
+    if (this.sprite) {
+      gl.deleteTexture(this.sprite.texture);
+    }
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    this.sprite = {
+      index,
+      texture,
+      width: image.width,
+      height: image.height,
+    };
+    image.close();
+  }
+
+  // errors from tile worker
+  handleTileWorkerError = (error) => {
+    console.error('Uncaught worker error.', error);
+  }
+
+  // handle drag changes while mouse is still down
+  // "mousemove" or "pan"
+  handleMove = (moveEvent) => {
+    const [x, y] = this.getClipSpacePosition(moveEvent);
+
+    // compute the previous position in world space
+    const [preX, preY] = this.unprojectFromClip([this.startX, this.startY]);
+
+    // compute the new position in world space
+    const [postX, postY] = this.unprojectFromClip([x, y]);
+
+    // move that amount, because how much the position changes depends on the zoom level
+    const deltaX = preX - postX;
+    const deltaY = preY - postY;
+    if (isNaN(deltaX) || isNaN(deltaY)) {
+      return; // abort
+    }
+
+    // move within latitude limits, wrapping around the world horizontally
+    this.camera.x += deltaX;
+    this.camera.y += deltaY;
+    Object.assign(this.camera, this.constrainCamera(this.camera));
+
+    // update view matrix
+    this.updateMatrix();
+
+    // update tiles
+    this.updateTiles();
+
+    this.beginCameraChange('pan', moveEvent);
+    this.fireCameraEvent('move', { originalEvent: moveEvent });
+
+    // save current pos for next movement
+    this.startX = x;
+    this.startY = y;
+  }
+
+  // handle dragging the map position (panning)
+  // "mousedown" OR "panstart"
+  handlePan = (startEvent) => {
+    startEvent.preventDefault();
+    this.stop(); // user takes over from camera animations
+
+    // right or ctrl + drag rotates & tilts instead (handled from "mousedown")
+    const sourceEvent = startEvent.srcEvent || startEvent;
+    if (sourceEvent.button === 2 || sourceEvent.ctrlKey) {
+      if (!startEvent.srcEvent) {
+        this.handleRotate(startEvent);
+      }
+      return;
+    }
+
+    // get position of initial drag
+    let [startX, startY] = this.getClipSpacePosition(startEvent);
+    this.startX = startX;
+    this.startY = startY;
+    this.canvas.style.cursor = 'grabbing';
+
+    // handle move events once started
+    window.addEventListener('mousemove', this.handleMove);
+    this.hammer.on('pan', this.handleMove);
+
+    // clear on release
+    const clear = (event) => {
+      this.canvas.style.cursor = 'grab';
+      this.endCameraChange('pan', event);
+
+      window.removeEventListener('mousemove',this.handleMove);
+      this.hammer.off('pan', this.handleMove);
+
+      window.removeEventListener('mouseup', clear);
+      this.hammer.off('panend', clear);
+    };
+    window.addEventListener('mouseup', clear);
+    this.hammer.on('panend', clear);
+  }
+
+  // handle zooming
+  handleZoom = (wheelEvent) => {
+    wheelEvent.preventDefault();
+    this.stop(); // user takes over from camera animations
+    const [x, y] = this.getClipSpacePosition(wheelEvent);
+
+    // get position before zooming
+    const [preZoomX, preZoomY] = this.unprojectFromClip([x, y]);
+
+    // update current zoom state, within the zoom range (and zoomed in enough to fill the viewport's height)
+    const zoomDelta = -wheelEvent.deltaY * (1 / 300);
+    this.camera.zoom = this.constrainCamera({ ...this.camera, zoom: this.camera.zoom + zoomDelta }).zoom;
+    this.updateMatrix();
+
+    // get new position after zooming
+    const [postZoomX, postZoomY] = this.unprojectFromClip([x, y]);
+
+    // camera needs to be moved the difference of before and after
+    this.camera.x += preZoomX - postZoomX;
+    this.camera.y += preZoomY - postZoomY;
+    Object.assign(this.camera, this.constrainCamera(this.camera));
+
+    this.updateMatrix();
+    this.updateTiles();
+
+    // wheel & pinch events have no end, so zooming ends after a short pause
+    this.beginCameraChange('zoom', wheelEvent);
+    this.fireCameraEvent('zoom', { originalEvent: wheelEvent });
+    this.fireCameraEvent('move', { originalEvent: wheelEvent });
+    clearTimeout(this.zoomEndTimeout);
+    this.zoomEndTimeout = setTimeout(() => this.endCameraChange('zoom'), 200);
+  }
+
+  // handle rotating (horizontal movement) and tilting (vertical movement) the map
+  // right or ctrl + "mousedown"
+  handleRotate = (startEvent) => {
+    let [prevX, prevY] = [startEvent.clientX, startEvent.clientY];
+    this.canvas.style.cursor = 'move';
+
+    const move = (moveEvent) => {
+      const bearing = this.camera.bearing + (moveEvent.clientX - prevX) * 0.8;
+      const pitch = this.camera.pitch + (prevY - moveEvent.clientY) * 0.5;
+      prevX = moveEvent.clientX;
+      prevY = moveEvent.clientY;
+
+      this.beginCameraChange('rotate', moveEvent);
+      this.setCamera({ ...this.camera, bearing, pitch });
+      this.fireCameraEvent('rotate', { originalEvent: moveEvent });
+      this.fireCameraEvent('move', { originalEvent: moveEvent });
+    };
+
+    // clear on release
+    const clear = (event) => {
+      this.canvas.style.cursor = 'grab';
+      this.endCameraChange('rotate', event);
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', clear);
+    };
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', clear);
+  }
+
+  // right-click is used for rotating
+  handleContextMenu = (event) => {
+    event.preventDefault();
+  }
+
+  // two finger rotation
+  // "rotatestart"
+  handleTouchRotateStart = (rotateEvent) => {
+    this.stop();
+    this.rotateStart = {
+      rotation: rotateEvent.rotation,
+      bearing: this.camera.bearing,
+    };
+    this.beginCameraChange('rotate', rotateEvent);
+  }
+
+  // "rotate"
+  handleTouchRotate = (rotateEvent) => {
+    if (!this.rotateStart) {
+      return;
+    }
+    // gesture rotation is clockwise, bearing is counter-clockwise
+    const bearing = this.rotateStart.bearing - (rotateEvent.rotation - this.rotateStart.rotation);
+    this.setCamera({ ...this.camera, bearing });
+    this.fireCameraEvent('rotate', { originalEvent: rotateEvent });
+    this.fireCameraEvent('move', { originalEvent: rotateEvent });
+  }
+
+  // "rotateend"
+  handleTouchRotateEnd = (rotateEvent) => {
+    this.rotateStart = null;
+    this.endCameraChange('rotate', rotateEvent);
+  }
+
+  ///////////////////
+  // camera controls
+  ///////////////////
+
+  // get map center as [lng, lat]
+  getCenter = () => {
+    return MercatorCoordinate.fromXY([this.camera.x, this.camera.y]);
+  }
+
+  setCenter = (center) => {
+    return this.jumpTo({ center });
+  }
+
+  getZoom = () => {
+    return this.camera.zoom;
+  }
+
+  setZoom = (zoom) => {
+    return this.jumpTo({ zoom });
+  }
+
+  // degrees counter-clockwise from north
+  getBearing = () => {
+    return this.camera.bearing;
+  }
+
+  setBearing = (bearing) => {
+    return this.jumpTo({ bearing });
+  }
+
+  // degrees of tilt
+  getPitch = () => {
+    return this.camera.pitch;
+  }
+
+  setPitch = (pitch) => {
+    return this.jumpTo({ pitch });
+  }
+
+  // keep camera within the zoom & pitch range and latitude limits, wrapping x around the world
+  constrainCamera = ({ x, y, zoom, bearing = 0, pitch = 0 }) => {
+    const { minZoom, maxZoom, maxPitch } = this.mapOptions;
+    const { height } = this;
+    const maxWorldY = MercatorCoordinate.fromLngLat([0, MAX_LAT])[1];
+
+    // bearing in (-180, 180], pitch in [0, maxPitch]
+    let constrainedBearing = ((bearing % 360) + 360) % 360;
+    if (constrainedBearing > 180) {
+      constrainedBearing -= 360;
+    }
+    const constrainedPitch = Math.max(0, Math.min(pitch, maxPitch));
+
+    // rotated or tilted views only keep the center inside the world
+    if (constrainedBearing !== 0 || constrainedPitch !== 0) {
+      return {
+        x: wrapX(x),
+        y: Math.max(-maxWorldY, Math.min(y, maxWorldY)),
+        zoom: Math.max(minZoom, Math.min(zoom, maxZoom)),
+        bearing: constrainedBearing,
+        pitch: constrainedPitch,
+      };
+    }
+
+    // zoom in until the viewport's height fits inside the world (it repeats horizontally)
+    const fitZoom = Math.log2(height / (TILE_SIZE * maxWorldY));
+    const constrainedZoom = Math.max(minZoom, fitZoom + 1e-6, Math.min(zoom, maxZoom));
+
+    // clip space size of half the viewport
+    const halfHeight = height / (TILE_SIZE * Math.pow(2, constrainedZoom));
+    const maxY = maxWorldY - halfHeight - 1e-9;
+
+    return {
+      x: wrapX(x),
+      y: Math.max(-maxY, Math.min(y, maxY)),
+      zoom: constrainedZoom,
+      bearing: 0,
+      pitch: 0,
+    };
+  }
+
+  // move the camera (clip space x/y), updating the view & tiles
+  setCamera = (camera) => {
+    Object.assign(this.camera, this.constrainCamera(camera));
+    this.updateMatrix();
+    this.updateTiles();
+  }
+
+  // camera target for { center, zoom, bearing, pitch } options, unset options keep the current value
+  getTargetCamera = ({ center, zoom, bearing, pitch }) => {
+    const [x, y] = center ? MercatorCoordinate.fromLngLat(center) : [this.camera.x, this.camera.y];
+    const target = this.constrainCamera({
+      x,
+      y,
+      zoom: zoom ?? this.camera.zoom,
+      bearing: bearing ?? this.camera.bearing,
+      pitch: pitch ?? this.camera.pitch,
+    });
+
+    // move the shortest way around the world (wrapped again by setCamera)
+    target.x = this.camera.x + wrapX(target.x - this.camera.x);
+    return target;
+  }
+
+  // camera changes ("zoom", "rotate") between two cameras, to fire events for
+  getCameraChanges = (from, to) => {
+    const changes = [];
+    if (to.zoom !== from.zoom) {
+      changes.push('zoom');
+    }
+    if (to.bearing !== from.bearing || to.pitch !== from.pitch) {
+      changes.push('rotate');
+    }
+    return changes;
+  }
+
+  // move camera to { center, zoom, bearing, pitch } without animating
+  jumpTo = (options = {}) => {
+    this.stop();
+    const target = this.getTargetCamera(options);
+    const changes = this.getCameraChanges(this.camera, target);
+
+    this.beginCameraChange('jump');
+    changes.forEach((change) => this.beginCameraChange(change));
+
+    this.setCamera(target);
+    changes.forEach((change) => this.fireCameraEvent(change));
+    this.fireCameraEvent('move');
+
+    changes.forEach((change) => this.endCameraChange(change));
+    this.endCameraChange('jump');
+    return this;
+  }
+
+  // animate camera to { center, zoom, bearing, pitch } over `duration` ms
+  easeTo = (options = {}) => {
+    const { duration = 500, easing = defaultEasing } = options;
+    const from = { ...this.camera };
+    const to = this.getTargetCamera(options);
+
+    // rotate the shortest way around
+    let bearingDelta = to.bearing - from.bearing;
+    if (bearingDelta > 180) bearingDelta -= 360;
+    if (bearingDelta < -180) bearingDelta += 360;
+
+    this.animate(duration, easing, this.getCameraChanges(from, to), (t) => ({
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      zoom: from.zoom + (to.zoom - from.zoom) * t,
+      bearing: from.bearing + bearingDelta * t,
+      pitch: from.pitch + (to.pitch - from.pitch) * t,
+    }));
+    return this;
+  }
+
+  // animate camera to { center, zoom, bearing, pitch } along a zoom-out / zoom-in arc
+  // based on "Smooth and efficient zooming and panning" (van Wijk & Nuij), as used by mapbox-gl
+  //   curve: how far to zoom out (default 1.42)
+  //   speed: average speed of the animation (default 1.2), used when `duration` isn't set
+  flyTo = (options = {}) => {
+    const { curve = 1.42, speed = 1.2, easing = defaultEasing } = options;
+    const from = { ...this.camera };
+    const to = this.getTargetCamera(options);
+
+    // work in pixels at the starting zoom
+    const pixelsPerUnit = (TILE_SIZE * Math.pow(2, from.zoom)) / 2;
+    const rho = curve;
+    const rho2 = rho * rho;
+    const w0 = Math.max(this.width, this.height);
+    const w1 = w0 / Math.pow(2, to.zoom - from.zoom);
+    const u1 = Math.hypot(to.x - from.x, to.y - from.y) * pixelsPerUnit;
+
+    // zoom-out factor and distance travelled at `s` along the path
+    const r = (i) => {
+      const b = (w1 * w1 - w0 * w0 + (i ? -1 : 1) * rho2 * rho2 * u1 * u1) / (2 * (i ? w1 : w0) * rho2 * u1);
+      return Math.log(Math.sqrt(b * b + 1) - b);
+    };
+    let r0 = r(0);
+    let S = (r(1) - r0) / rho;
+    let w = (s) => Math.cosh(r0) / Math.cosh(r0 + rho * s);
+    let u = (s) => (w0 * ((Math.cosh(r0) * Math.tanh(r0 + rho * s) - Math.sinh(r0)) / rho2)) / u1;
+
+    // not moving, only zooming
+    if (Math.abs(u1) < 1e-6 || !isFinite(S)) {
+      const k = w1 < w0 ? -1 : 1;
+      r0 = 0;
+      S = Math.abs(Math.log(w1 / w0)) / rho;
+      w = (s) => Math.exp(k * rho * s);
+      u = () => 0;
+    }
+
+    // rotate the shortest way around
+    let bearingDelta = to.bearing - from.bearing;
+    if (bearingDelta > 180) bearingDelta -= 360;
+    if (bearingDelta < -180) bearingDelta += 360;
+
+    const duration = options.duration ?? (1000 * S) / speed;
+    const changes = [...new Set(['zoom', ...this.getCameraChanges(from, to)])];
+    this.animate(duration, easing, changes, (t) => {
+      const s = t * S;
+      const progress = t === 1 ? 1 : u(s);
+      return {
+        x: from.x + (to.x - from.x) * progress,
+        y: from.y + (to.y - from.y) * progress,
+        zoom: t === 1 ? to.zoom : from.zoom + Math.log2(1 / w(s)),
+        bearing: from.bearing + bearingDelta * t,
+        pitch: from.pitch + (to.pitch - from.pitch) * t,
+      };
+    });
+    return this;
+  }
+
+  // animate (or jump with `animate: false`) to fit a [west, south, east, north] bbox in view
+  //   padding: pixels, as a number or { top, bottom, left, right }
+  //   maxZoom: don't zoom in further than this
+  fitBounds = (bbox, options = {}) => {
+    const { padding = 0, maxZoom = this.mapOptions.maxZoom, animate = true } = options;
+    const { top = 0, bottom = 0, left = 0, right = 0 } = typeof padding === 'number'
+      ? { top: padding, bottom: padding, left: padding, right: padding }
+      : padding;
+
+    const [x1, y1] = MercatorCoordinate.fromLngLat([bbox[0], bbox[1]]);
+    let [x2, y2] = MercatorCoordinate.fromLngLat([bbox[2], bbox[3]]);
+    if (x2 < x1) {
+      x2 += 2; // crosses the antimeridian
+    }
+
+    // largest zoom where the bbox fits in the padded viewport
+    const availableWidth = Math.max(1, this.width - left - right);
+    const availableHeight = Math.max(1, this.height - top - bottom);
+    const zoomX = Math.log2((2 * availableWidth) / (Math.abs(x2 - x1) * TILE_SIZE));
+    const zoomY = Math.log2((2 * availableHeight) / (Math.abs(y2 - y1) * TILE_SIZE));
+    const zoom = Math.min(zoomX, zoomY, maxZoom);
+
+    // shift center so the bbox is centered in the padded area
+    const pixelSize = 2 / (TILE_SIZE * Math.pow(2, zoom));
+    const x = (x1 + x2) / 2 - ((left - right) / 2) * pixelSize;
+    const y = (y1 + y2) / 2 + ((top - bottom) / 2) * pixelSize;
+    const center = MercatorCoordinate.fromXY([x, y]);
+
+    if (!animate) {
+      return this.jumpTo({ center, zoom });
+    }
+    return this.easeTo({ ...options, center, zoom });
+  }
+
+  // run a camera animation, `frame(t)` returns the camera at eased progress `t` (0 - 1)
+  // changes: camera changes ("zoom", "rotate") to fire events for
+  animate = (duration, easing, changes, frame) => {
+    this.stop();
+
+    this.beginCameraChange('ease');
+    changes.forEach((change) => this.beginCameraChange(change));
+
+    const finish = () => {
+      if (this.animation === animation) {
+        this.animation = null;
+      }
+      changes.forEach((change) => this.endCameraChange(change));
+      this.endCameraChange('ease');
+    };
+
+    const start = performance.now();
+    const step = (now) => {
+      const t = duration > 0 ? Math.max(0, Math.min(1, (now - start) / duration)) : 1;
+      this.setCamera(frame(t === 1 ? 1 : easing(t)));
+      changes.forEach((change) => this.fireCameraEvent(change));
+      this.fireCameraEvent('move');
+
+      // a listener may have stopped this animation or started another one
+      if (this.animation !== animation) {
+        return;
+      }
+
+      if (t < 1) {
+        animation.frame = window.requestAnimationFrame(step);
+      } else {
+        finish();
+      }
+    };
+    const animation = { finish, frame: window.requestAnimationFrame(step) };
+    this.animation = animation;
+  }
+
+  // stop any camera animation in progress
+  stop = () => {
+    if (this.animation) {
+      window.cancelAnimationFrame(this.animation.frame);
+      this.animation.finish();
+    }
+    return this;
+  }
+
+  // camera state included with events
+  getCameraEventData = () => {
+    const { x, y, zoom, bearing, pitch } = this.camera;
+    return {
+      center: MercatorCoordinate.fromXY([x, y]),
+      zoom,
+      bearing,
+      pitch,
+      bounds: this.getBounds(),
+    };
+  }
+
+  // fire an event with the camera state, if anything is listening
+  fireCameraEvent = (type, data = {}) => {
+    if (this.listens(type)) {
+      this.fire(type, { ...this.getCameraEventData(), ...data });
+    }
+  }
+
+  // "movestart" fires when the first camera change begins,
+  // "zoomstart" / "rotatestart" when zooming / rotating begins
+  beginCameraChange = (change, originalEvent) => {
+    if (this.cameraChanges.has(change)) {
+      return;
+    }
+    if (this.cameraChanges.size === 0) {
+      this.fireCameraEvent('movestart', { originalEvent });
+    }
+    this.cameraChanges.add(change);
+    this.idle = false;
+
+    if (change === 'zoom' || change === 'rotate') {
+      this.fireCameraEvent(`${change}start`, { originalEvent });
+    }
+  }
+
+  // "zoomend" / "rotateend" fire when zooming / rotating ends, "moveend" when the last camera change ends
+  endCameraChange = (change, originalEvent) => {
+    if (!this.cameraChanges.has(change)) {
+      return;
+    }
+    this.cameraChanges.delete(change);
+
+    if (change === 'zoom' || change === 'rotate') {
+      this.fireCameraEvent(`${change}end`, { originalEvent });
+    }
+    if (this.cameraChanges.size === 0) {
+      this.fireCameraEvent('moveend', { originalEvent });
+      this.triggerRepaint(); // "idle" fires after the next frame
+    }
+  }
+
+  // check if all visible tiles (or the given tiles) have loaded
+  areTilesLoaded = (tiles = this.tilesInView) => {
+    return !tiles.some((tile) => Object.values(this.sources).some((source) => {
+      const sourceTile = this.getSourceTile(source, tile);
+      return sourceTile && this.loadingTiles.has(getTileKey(source.id, sourceTile.join('/')));
+    }));
+  }
+
+  // fire "render" every frame, and "load" / "idle" once everything in view has rendered
+  fireRenderEvents = () => {
+    this.fireCameraEvent('render');
+
+    if (!this.areTilesLoaded()) {
+      return;
+    }
+    if (!this.loaded) {
+      this.loaded = true;
+      this.fireCameraEvent('load');
+    }
+    if (!this.idle && this.cameraChanges.size === 0) {
+      this.idle = true;
+      this.fireCameraEvent('idle');
+    }
+  }
+
+  // fire "click" with the features under the cursor
+  // "tap" (for both mouse & touch, not fired at the end of a drag)
+  handleClick = (tapEvent) => {
+    if (this.listens('click')) {
+      this.fire('click', this.getMouseEventData(tapEvent));
+    }
+  }
+
+  // fire "mousemove" with the features under the cursor (while not dragging)
+  handleMouseMove = (moveEvent) => {
+    if (moveEvent.buttons > 0 || !this.listens('mousemove')) {
+      return;
+    }
+    this.fire('mousemove', this.getMouseEventData(moveEvent));
+  }
+
+  // event data for a mouse or touch event
+  getMouseEventData = (e) => {
+    const point = this.getScreenPosition(e);
+    return {
+      point,
+      lngLat: this.unproject(point),
+      features: this.queryTileFeatures(point),
+      originalEvent: e.srcEvent || e,
+    };
+  }
+
+  // get GeoJSON features rendered at a screen point [x, y], or within a box [[x1, y1], [x2, y2]]
+  // features of top-most layers are returned first
+  //   options.layers: only query these style layer ids
+  queryRenderedFeatures = (geometry, options = {}) => {
+    // tiles loaded so far may not have their features (the results are complete once they're loaded again)
+    if (!this.queryingFeatures) {
+      this.queryingFeatures = true;
+      this.updateTiles();
+    }
+    return this.queryTileFeatures(geometry, options);
+  }
+
+  // features of loaded tiles at a screen point or within a box (see queryRenderedFeatures)
+  queryTileFeatures = (geometry, options = {}) => {
+    const isBox = Array.isArray(geometry[0]);
+    const query = isBox
+      ? {
+        box: [
+          Math.min(geometry[0][0], geometry[1][0]),
+          Math.min(geometry[0][1], geometry[1][1]),
+          Math.max(geometry[0][0], geometry[1][0]),
+          Math.max(geometry[0][1], geometry[1][1]),
+        ],
+      }
+      : { point: geometry };
+
+    // rough LngLat bounds of the query (padded for line widths & icons), to skip most features early
+    const padding = 64;
+    const queryBox = query.box || [...query.point, ...query.point];
+    const queryCorners = [
+      [queryBox[0] - padding, queryBox[1] - padding],
+      [queryBox[2] + padding, queryBox[1] - padding],
+      [queryBox[2] + padding, queryBox[3] + padding],
+      [queryBox[0] - padding, queryBox[3] + padding],
+    ].map((corner) => MercatorCoordinate.fromXY(this.unprojectFromScreen(corner)));
+    const [minLng, minLat, maxLng, maxLat] = getGeometryBounds({ coordinates: queryCorners });
+
+    const layerIds = options.layers ? new Set(options.layers) : null;
+
+    // collect rendered feature sets per style layer, with the copy of the world they're drawn in
+    const featureSetsByLayer = {};
+    const collected = new Map(); // feature set -> world copies, overzoomed & placeholder tiles are shared by several tiles
+    this.tilesInView.forEach((tile) => {
+      const wrap = getTileWrap(tile);
+      this.getTileFeatureSets(tile).forEach((featureSet) => {
+        const wraps = collected.get(featureSet) || new Set();
+        if (!featureSet.features || wraps.has(wrap)) {
+          return;
+        }
+        collected.set(featureSet, wraps.add(wrap));
+        featureSetsByLayer[featureSet.layer] = featureSetsByLayer[featureSet.layer] || [];
+        featureSetsByLayer[featureSet.layer].push({ featureSet, wrap });
+      });
+    });
+
+    const results = [];
+    const seen = new Set(); // features are repeated in neighbouring tiles
+    [...this.layers].reverse().forEach((layer) => {
+      if (!featureSetsByLayer[layer.id] || !this.isLayerVisible(layer)) {
+        return;
+      }
+      if (layerIds && !layerIds.has(layer.id)) {
+        return;
+      }
+
+      featureSetsByLayer[layer.id].forEach(({ featureSet: { type, features }, wrap }) => {
+        const offset = wrap * 360; // longitude offset of the world copy
+        const project = ([lng, lat]) => this.projectToScreen(MercatorCoordinate.fromLngLat([lng + offset, lat]));
+        features.forEach((feature) => {
+          const key = feature.id !== undefined ? `${layer.id}:${feature.id}` : null;
+          if (key && seen.has(key)) {
+            return;
+          }
+
+          // skip features far from the query
+          feature.bbox = feature.bbox || getGeometryBounds(feature.geometry);
+          const [x1, y1, x2, y2] = feature.bbox;
+          if (x1 + offset > maxLng || x2 + offset < minLng || y1 > maxLat || y2 < minLat) {
+            return;
+          }
+
+          const hitOptions = { tolerance: 3 };
+          if (type === 'line') {
+            hitOptions.tolerance = (layer.width ?? 1) / 2 + 3;
+          } else if (type === 'point') {
+            hitOptions.tolerance = (layer.pointSize ?? 3) / 2 + 3;
+            if (layer.icon) {
+              hitOptions.pointBox = getIconBox(this.sprite, layer, formatTokens(layer.icon, feature.properties));
+            }
+          }
+
+          if (geometryHits(projectGeometry(feature.geometry, project), query, hitOptions)) {
+            if (key) {
+              seen.add(key);
+            }
+            results.push({
+              type: 'Feature',
+              id: feature.id,
+              properties: feature.properties,
+              geometry: feature.geometry,
+              layer: layer.id,
+              source: layer.source,
+              sourceLayer: layer.sourceLayer,
+            });
+          }
+        });
+      });
+    });
+
+    return results;
+  }
+
+  // screen position [x, y] (css pixels relative to the map) of a [lng, lat], in the copy of the world nearest the center
+  project = (lngLat) => {
+    return this.projectToScreen(this.getNearestPosition(lngLat));
+  }
+
+  // whether a [lng, lat] is behind the camera (only possible when pitched), where `project` is meaningless
+  isBehindCamera = (lngLat) => {
+    const [x, y] = this.getNearestPosition(lngLat);
+    const [, , , w] = vec4.transformMat4([], [x, y, 0, 1], this.viewProjectionMat);
+    return w <= 0;
+  }
+
+  // clip space position of a [lng, lat], in the copy of the world nearest the center
+  getNearestPosition = (lngLat) => {
+    const [x, y] = MercatorCoordinate.fromLngLat(lngLat);
+    return [this.camera.x + wrapX(x - this.camera.x), y];
+  }
+
+  // [lng, lat] at a screen position [x, y] (css pixels relative to the map)
+  unproject = (point) => {
+    const [x, y] = this.unprojectFromScreen(point);
+    return MercatorCoordinate.fromXY([wrapX(x), y]);
+  }
+
+  // from a given mouse or touch event, return the canvas relative pixel position
+  getScreenPosition = (e) => {
+    const [clipX, clipY] = this.getClipSpacePosition(e);
+    return [
+      ((1 + clipX) / 2) * this.width,
+      ((1 - clipY) / 2) * this.height,
+    ];
+  }
+
+  // from a given mouse position on the canvas, return the xy value in clip space
+  getClipSpacePosition = (e) => {
+    // get position from mouse or touch event
+    const [x, y] = [
+      e.center?.x || e.clientX,
+      e.center?.y || e.clientY
+    ];
+
+    // get canvas relative css position
+    const rect = this.canvas.getBoundingClientRect();
+    const cssX = x - rect.left;
+    const cssY = y - rect.top;
+
+    // get normalized 0 to 1 position across and down canvas
+    const normalizedX = cssX / this.canvas.clientWidth;
+    const normalizedY = cssY / this.canvas.clientHeight;
+
+    // convert to clip space
+    const clipX = normalizedX *  2 - 1;
+    const clipY = normalizedY * -2 + 1;
+
+    return [clipX, clipY];
+  }
+
+  // get clip space position [x, y] on the map (ground plane) under a clip space position on screen
+  unprojectFromClip = ([clipX, clipY]) => {
+    // cast a ray from the near to the far plane
+    const near = vec4.transformMat4([], [clipX, clipY, -1, 1], this.inverseViewProjectionMat);
+    const far = vec4.transformMat4([], [clipX, clipY, 1, 1], this.inverseViewProjectionMat);
+    const [x0, y0, z0] = near.map((n) => n / near[3]);
+    const [x1, y1, z1] = far.map((n) => n / far[3]);
+
+    // intersect with the map at z = 0
+    const t = z1 === z0 ? 0 : -z0 / (z1 - z0);
+    return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+  }
+
+  // clip space corners of the visible area of the map (a trapezoid when pitched)
+  // [bottom-left, bottom-right, top-right, top-left]
+  getVisibleArea = () => {
+    return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(this.unprojectFromClip);
+  }
+
+  // get [west, south, east, north] bbox for current viewport, with longitudes within -180 - 180
+  // (west is greater than east when the view crosses the antimeridian)
+  getBounds = () => {
+    const corners = this.getVisibleArea().map(MercatorCoordinate.fromXY);
+    const lngs = corners.map(([lng]) => lng);
+    const lats = corners.map(([, lat]) => lat);
+
+    // get LngLat bounding box
+    let west = Math.min(...lngs);
+    let east = Math.max(...lngs);
+    if (east - west >= 360) {
+      [west, east] = [-180, 180]; // the whole world is in view
+    } else {
+      const shift = wrapLng(west) - west;
+      west += shift;
+      east += shift;
+      if (east > 180) {
+        east -= 360;
+      }
+    }
+
+    return [west, Math.min(...lats), east, Math.max(...lats)];
+  }
+
+  // re-draw the scene
+  draw = () => {
+    this.frame = null;
+    const {
+      gl,
+      program,
+      viewProjectionMat,
+      tilesInView,
+      mapOptions,
+      stats,
+    } = this;
+    const locations = this.locations.get(program);
+
+    // stats reporting
+    let start = performance.now();
+    if (mapOptions.debug) {
+      stats.begin();
+    }
+
+    const vertexCount = this.drawLayers();
+
+    // follow the camera with markers & popups
+    this.markers.forEach((marker) => marker.update());
+
+    // clear debug info
+    this.tileLabels.replaceChildren();
+    this.debugInfo.style.display = 'none';
+    if (this.statsWidget) {
+      this.statsWidget.style.display = 'none'; // only created in debug mode
+    }
+
+    // draw debug tile boundaries
+    if (mapOptions.debug) {
+      this.debugInfo.style.display = 'block';
+      this.statsWidget.style.display = 'block';
+
+      // outlines of all tiles in view, uploaded once whenever the tiles in view change
+      if (this.debugOutlines?.tiles !== tilesInView) {
+        const vertices = [];
+        tilesInView.forEach((tile) => {
+          vertices.push(...geometryToVertices(tilebelt.tileToGeoJSON(tile)));
+        });
+        if (this.debugOutlines) {
+          gl.deleteBuffer(this.debugOutlines.buffer);
+        }
+        this.debugOutlines = {
+          tiles: tilesInView,
+          buffer: this.createVertexBuffer(new Float32Array(vertices)),
+          count: vertices.length / 2,
+        };
+      }
+      gl.uniformMatrix4fv(locations.u_matrix, false, viewProjectionMat); // outlines are in clip space
+      gl.uniform4fv(locations.u_color, [1, 0, 0, 1]);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.debugOutlines.buffer);
+      gl.enableVertexAttribArray(locations.a_position);
+      gl.vertexAttribPointer(locations.a_position, 2, gl.FLOAT, false, 0, 0);
+      this.drawArrays(gl.LINES, this.debugOutlines.count);
+
+      // draw tile labels
+      tilesInView.forEach((tile) => {
+        const tileCoordinates = tilebelt.tileToGeoJSON(tile).coordinates;
+        const topLeft = tileCoordinates[0][0];
+        const [wx, wy] = this.projectToScreen(MercatorCoordinate.fromLngLat(topLeft));
+        const div = document.createElement("div");
+        div.className = "tile-label";
+        div.style.left = (wx + 8) + "px";
+        div.style.top  = (wy + 8) + "px";
+        div.appendChild(document.createTextNode(tile.join('/')));
+        this.tileLabels.appendChild(div);
+      });
+
+      stats.end();
+    }
+
+    // capture stats (uploads include tiles that arrived since the last frame)
+    this.frameStats = {
+      vertices: vertexCount,
+      drawCalls: this.renderStats.drawCalls,
+      bufferUploads: this.renderStats.bufferUploads,
+      elapsed: performance.now() - start,
+    };
+    this.renderStats = { drawCalls: 0, bufferUploads: 0 };
+
+    this.fireRenderEvents();
+    this.drawSnapshots();
+
+    if (mapOptions.repaint) {
+      this.triggerRepaint(); // keep drawing
+    }
+  }
+
+  // draw the style layers of the tiles in view, returns the number of vertices drawn
+  drawLayers = () => {
+    const { tilesInView } = this;
+    let vertexCount = 0;
+
+    // mark the area of each tile in view in the stencil buffer
+    this.drawTileMasks();
+
+    // group feature sets of the tiles in view by style layer, along with the stencil value of the tile they're
+    // drawn for and the copy of the world it's in. overzoomed & placeholder tiles are shared by several tiles in view,
+    // and are clipped to each of them (so a parent standing in for a loading tile doesn't draw over its loaded siblings)
+    const featureSetsByLayer = {};
+    tilesInView.forEach((tile, i) => {
+      const stencil = i < MAX_CLIPPED_TILES ? i + 1 : 0;
+      const wrap = getTileWrap(tile);
+      this.getTileFeatureSets(tile).forEach((featureSet) => {
+        featureSetsByLayer[featureSet.layer] = featureSetsByLayer[featureSet.layer] || [];
+        featureSetsByLayer[featureSet.layer].push({ featureSet, stencil, wrap });
+      });
+    });
 
-    // tiles visible in viewport
-    this.tilesInView = [];
-    const [minX, maxX] = [Math.max(minTile[0], 0), maxTile[0]];
-    const [minY, maxY] = [Math.max(minTile[1], 0), maxTile[1]];
-    for (let x = minX; x <= maxX; x++) {
-      for (let y = minY; y <= maxY; y++) {
-        this.tilesInView.push([x, y, z]);
+    // icons & labels aren't clipped, so they're drawn once per copy of the world
+    const unclippedWraps = new Map(); // feature set -> world copies it's drawn in
+    const addUnclipped = (list, { featureSet, wrap }) => {
+      const wraps = unclippedWraps.get(featureSet) || new Set();
+      if (!wraps.has(wrap)) {
+        wraps.add(wrap);
+        unclippedWraps.set(featureSet, wraps);
+        list.push({ featureSet, wrap });
       }
-    }
+    };
 
-    // get additional tiles to buffer (based on buffer setting)
-    this.bufferedTiles = [];
-    const { tileBuffer } = this.mapOptions;
-    for (let bufX = minX - tileBuffer; bufX <= maxX + tileBuffer; bufX++) {
-      for (let bufY = minY - tileBuffer; bufY <= maxY + tileBuffer; bufY++) {
-        this.bufferedTiles.push([bufX, bufY, z]);
+    // labels are placed after all tiles are drawn
+    const symbolSets = [];
 
-        // get parents 2 levels up
-        this.bufferedTiles.push(tilebelt.getParent([bufX, bufY, z]));
-        this.bufferedTiles.push(tilebelt.getParent(tilebelt.getParent([bufX, bufY, z])));
+    // render layers in style order, setting up each layer once for all of its tiles
+    this.layers.forEach((layer) => {
+      const tileFeatureSets = featureSetsByLayer[layer.id];
+      if (!tileFeatureSets || !this.isLayerVisible(layer)) {
+        return;
       }
-    }
 
-    // remove duplicates
-    let tilesToLoad = [
-      ...new Set([
-        ...this.tilesInView.map(t => t.join('/')),
-        ...this.bufferedTiles.map(t => t.join('/'))
-      ])
-    ];
+      const fills = [];
+      const lines = [];
+      const icons = [];
+      const rasters = [];
+      tileFeatureSets.forEach((tileFeatureSet) => {
+        const { featureSet } = tileFeatureSet;
+        switch (featureSet.type) {
+          case 'symbol':
+            addUnclipped(symbolSets, tileFeatureSet);
+            break;
+          case 'line':
+            lines.push(tileFeatureSet);
+            break;
+          case 'raster':
+            rasters.push(tileFeatureSet);
+            break;
+          case 'point':
+            if (featureSet.icons) {
+              addUnclipped(icons, tileFeatureSet);
+            } else {
+              fills.push(tileFeatureSet);
+            }
+            break;
+          default: // polygon
+            fills.push(tileFeatureSet);
+        }
+      });
 
-    // make sure tiles are in range
-    tilesToLoad = tilesToLoad.filter((tile) => {
-      const [x, y, z] = tile.split('/').map(Number);
-      const N = Math.pow(2, z);
-      const validX = x >= 0 && x < N;
-      const validY = y >= 0 && y < N;
-      const validZ = z >= 0 && z <= MAX_TILE_ZOOM;
-      return validX && validY && validZ;
+      vertexCount += this.drawRasters(rasters, layer);
+      vertexCount += this.drawFills(fills, layer);
+      vertexCount += this.drawLines(lines, layer);
+      this.clipToTile(0);
+      vertexCount += this.drawIcons(icons, layer);
     });
-    const inViewLookup = new Set(this.tilesInView.map(t => t.join('/')));
 
-    // tile fetching options
-    const { layers, tileServerURL: url } = this.mapOptions;
+    // render labels on top
+    this.clipToTile(0);
+    vertexCount += this.drawLabels(symbolSets);
+    return vertexCount;
+  }
 
-    // load tiles from tilerServer
-    tilesToLoad.forEach((tile) => {
-      if (this.tiles[tile]) {
-        return; // already loaded, no need to fetch
+  // export the current view as an image, drawn once all of its tiles are loaded (the visible map isn't changed)
+  //   width / height: size in css pixels (defaults to the map's size)
+  //   pixelRatio: image pixels per css pixel (defaults to the map's)
+  //   format: 'image/png' (default), 'image/jpeg' or 'image/webp'
+  //   quality: 0 to 1, for jpeg & webp
+  //   attribution: draw source attributions in the bottom right corner (default true)
+  toBlob = ({
+    width = this.width,
+    height = this.height,
+    pixelRatio = this.pixelRatio,
+    format = 'image/png',
+    quality,
+    attribution = true,
+  } = {}) => {
+    return new Promise((resolve, reject) => {
+      if (this.removed) {
+        reject(new Error('Map was removed.'));
+        return;
       }
-      // temp hold for request
-      this.tiles[tile] = [];
 
-      // hand off buffered tiles to worker for fetching & processing
-      this.tileWorker.postMessage({ tile, layers, url });
+      // tiles covering the image, at the current camera
+      const view = { camera: { ...this.camera }, width, height, pixelRatio };
+      const previousView = this.setView(view);
+      const tilesInView = this.getTilesInView();
+      this.setView(previousView);
+
+      this.snapshots.add({ view, tilesInView, format, quality, attribution, resolve, reject });
+      this.updateTiles(); // load its tiles, it's drawn on the first frame they're all loaded
     });
   }
 
-  // if current tile is not loaded, just render scaled versions of parent or children
-  getPlaceholderTile = (tile) => {
-    // use parent if available
-    const parent = tilebelt.getParent(tile)?.join('/');
-    const parentFeatureSet = this.tiles[parent];
-    if (parentFeatureSet?.length > 0) {
-      return parentFeatureSet;
-    }
-
-    // use whatever children are available
-    const childFeatureSets = [];
-    const children = (tilebelt.getChildren(tile) || []).map(t => t.join('/'));
-    children.forEach((child) => {
-      const featureSet = this.tiles[child];
-      if (featureSet?.length > 0) {
-        childFeatureSets.push(...featureSet);
+  // draw exported images (see toBlob) once their tiles are loaded
+  drawSnapshots = () => {
+    this.snapshots.forEach((snapshot) => {
+      if (!this.areTilesLoaded(snapshot.tilesInView)) {
+        return;
+      }
+      this.snapshots.delete(snapshot);
+      try {
+        const canvas = this.drawSnapshot(snapshot);
+        canvasToBlob(canvas, snapshot.format, snapshot.quality).then(snapshot.resolve, snapshot.reject);
+      } catch (e) {
+        snapshot.reject(e);
       }
     });
-    return childFeatureSets;
   }
 
-  // update tiles with data from worker
-  handleTileWorker = (workerEvent) => {
-    const { tile, tileData } = workerEvent.data;
-    this.tiles[tile] = tileData;
-  }
-
-  // errors from tile worker
-  handleTileWorkerError = (error) => {
-    console.error('Uncaught worker error.', error);
-  }
-
-  // handle drag changes while mouse is still down
-  // "mousemove" or "pan"
-  handleMove = (moveEvent) => {
-    const [x, y] = this.getClipSpacePosition(moveEvent);
-
-    // compute the previous position in world space
-    const [preX, preY] = vec3.transformMat3(
-      [],
-      [this.startX, this.startY, 0],
-      mat3.invert([], this.viewProjectionMat)
-    );
-
-    // compute the new position in world space
-    const [postX, postY] = vec3.transformMat3(
-      [],
-      [x, y, 0],
-      mat3.invert([], this.viewProjectionMat)
-    );
-
-    // move that amount, because how much the position changes depends on the zoom level
-    const deltaX = preX - postX;
-    const deltaY = preY - postY;
-    if (isNaN(deltaX) || isNaN(deltaY)) {
-      return; // abort
+  // draw a snapshot's view into an offscreen framebuffer, returning a 2d canvas with the image
+  drawSnapshot = ({ view, tilesInView, attribution }) => {
+    const { gl } = this;
+    const width = Math.round(view.width * view.pixelRatio);
+    const height = Math.round(view.height * view.pixelRatio);
+    const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+    if (width > maxSize || height > maxSize) {
+      throw new Error(`Image is too large, at most ${maxSize}px wide and high (including the pixel ratio).`);
     }
 
-    // only update within world limits
-    this.camera.x += deltaX;
-    this.camera.y += deltaY;
-
-    // update view matrix
-    this.updateMatrix();
-
-    // prevent further pan if at limits
-    if (this.atLimits()) {
-      this.camera.x -= deltaX; // undo
-      this.camera.y -= deltaY; // undo
-      this.updateMatrix();
-      return; // abort
+    const target = createFramebuffer(gl, width, height);
+    const previousView = this.setView(view);
+    const previousTiles = this.tilesInView;
+    this.tilesInView = tilesInView;
+    const pixels = new Uint8Array(width * height * 4);
+    try {
+      if (!target.complete) {
+        throw new Error('Failed to create framebuffer.');
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.viewport(0, 0, width, height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      this.drawLayers();
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    } finally {
+      // back to the visible map
+      this.tilesInView = previousTiles;
+      this.setView(previousView);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+      deleteFramebuffer(gl, target);
     }
 
-    // update tiles
-    this.updateTiles();
+    const canvas = pixelsToCanvas(pixels, width, height);
+    const text = this.attribution.textContent; // without links
+    if (attribution && text) {
+      drawAttribution(canvas, text, view.pixelRatio);
+    }
+    return canvas;
+  }
 
-    // save current pos for next movement
-    this.startX = x;
-    this.startY = y;
+  // draw the map on the next animation frame (frames are only drawn when something changed)
+  triggerRepaint = () => {
+    if (!this.frame && !this.removed && !this.contextLost) {
+      this.frame = window.requestAnimationFrame(this.draw);
+    }
+    return this;
   }
 
-  // handle dragging the map position (panning)
-  // "mousedown" OR "panstart"
-  handlePan = (startEvent) => {
-    startEvent.preventDefault();
+  // draw call, counted in frameStats
+  drawArrays = (primitiveType, count, first = 0) => {
+    this.gl.drawArrays(primitiveType, first, count);
+    this.renderStats.drawCalls++;
+  }
 
-    // get position of initial drag
-    let [startX, startY] = this.getClipSpacePosition(startEvent);
-    this.startX = startX;
-    this.startY = startY;
-    this.canvas.style.cursor = 'grabbing';
+  // write the area of each tile in view into the stencil buffer, with stencil values 1, 2, 3, ...
+  // (in the order of `tilesInView`), see clipToTile
+  drawTileMasks = () => {
+    const { gl, program, tilesInView } = this;
+    const locations = this.locations.get(program);
 
-    // handle move events once started
-    window.addEventListener('mousemove', this.handleMove);
-    this.hammer.on('pan', this.handleMove);
+    // a quad covering a tile, in tile coordinates (the same for every tile)
+    if (!this.tileMaskBuffer) {
+      const e = TILE_EXTENT;
+      this.tileMaskBuffer = this.createVertexBuffer(new Float32Array([0, e, e, e, 0, 0, e, e, e, 0, 0, 0]));
+    }
 
-    // clear on release
-    const clear = (event) => {
-      this.canvas.style.cursor = 'grab';
+    gl.clear(gl.STENCIL_BUFFER_BIT);
+    gl.colorMask(false, false, false, false);
+    gl.stencilOp(gl.KEEP, gl.KEEP, gl.REPLACE);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.tileMaskBuffer);
+    gl.enableVertexAttribArray(locations.a_position);
+    gl.vertexAttribPointer(locations.a_position, 2, gl.FLOAT, false, 0, 0);
+    tilesInView.slice(0, MAX_CLIPPED_TILES).forEach((tile, i) => {
+      gl.uniformMatrix4fv(locations.u_matrix, false, this.getTileMatrix(tile));
+      gl.stencilFunc(gl.ALWAYS, i + 1, 0xff);
+      this.drawArrays(gl.TRIANGLES, 6);
+    });
+    gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+    gl.colorMask(true, true, true, true);
+  }
 
-      window.removeEventListener('mousemove',this.handleMove);
-      this.hammer.off('pan', this.handleMove);
+  // matrix from the coordinates of a tile [x, y, z] (see TILE_EXTENT) to clip space, for the current camera,
+  // drawn in the copy of the world `wrap`. computed in double precision on the cpu, so vertices don't jitter at high zoom
+  getTileMatrix = (tile, wrap = 0) => {
+    const [x, y, z] = tile;
+    const key = `${x + wrap * Math.pow(2, z)}/${y}/${z}`;
+    if (!this.tileMatrices.has(key)) {
+      const { left, bottom, size } = getTileOrigin([x + wrap * Math.pow(2, z), y, z]);
+      const scale = size / TILE_EXTENT;
+      const tileMat = mat4.fromTranslation([], [left, bottom, 0]);
+      mat4.scale(tileMat, tileMat, [scale, scale, 1]);
+      this.tileMatrices.set(key, mat4.multiply([], this.viewProjectionMat, tileMat));
+    }
+    return this.tileMatrices.get(key);
+  }
 
-      window.removeEventListener('mouseup', clear);
-      this.hammer.off('panend', clear);
-    };
-    window.addEventListener('mouseup', clear);
-    this.hammer.on('panend', clear);
+  // only draw within a tile in view (by its stencil value), or anywhere for 0
+  clipToTile = (stencil) => {
+    const { gl } = this;
+    if (stencil > 0) {
+      gl.stencilFunc(gl.EQUAL, stencil, 0xff);
+    } else {
+      gl.stencilFunc(gl.ALWAYS, 0, 0xff);
+    }
   }
 
-  // handle zooming
-  handleZoom = (wheelEvent) => {
-    wheelEvent.preventDefault();
-    const [x, y] = this.getClipSpacePosition(wheelEvent);
+  // create a vertex buffer holding `vertices`, counted in frameStats
+  createVertexBuffer = (vertices) => {
+    const { gl } = this;
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+    this.renderStats.bufferUploads++;
+    return buffer;
+  }
 
-    // get position before zooming
-    const [preZoomX, preZoomY] = vec3.transformMat3(
-      [],
-      [x, y, 0],
-      mat3.invert([], this.viewProjectionMat)
-    );
+  // point the attributes of a program at the interleaved vertices of the bound buffer
+  //   attributes: [name, size, offset] of each attribute, sizes & offsets in floats
+  // returns the attribute locations, to disable them once drawn
+  setAttributes = (program, attributes, vertexSize) => {
+    const { gl } = this;
+    const locations = this.locations.get(program);
+    const stride = vertexSize * Float32Array.BYTES_PER_ELEMENT;
+    return attributes.map(([name, size, offset]) => {
+      const location = locations[name];
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset * Float32Array.BYTES_PER_ELEMENT);
+      return location;
+    });
+  }
 
-    // update current zoom state
-    const prevZoom = this.camera.zoom;
-    const zoomDelta = -wheelEvent.deltaY * (1 / 300);
-    this.camera.zoom += zoomDelta;
-    this.camera.zoom = Math.max(this.mapOptions.minZoom, Math.min(this.camera.zoom, this.mapOptions.maxZoom));
-    this.updateMatrix();
+  // upload a tile's vertices & raster images to the GPU, once when the tile arrives
+  // (vertices are in the coordinates of the tile [x, y, z])
+  uploadTile = (featureSets, tile) => {
+    const { gl } = this;
+    featureSets.forEach((featureSet) => {
+      featureSet.tile = tile;
+      if (featureSet.vertices?.length > 0) {
+        featureSet.buffers = { vertices: this.createVertexBuffer(featureSet.vertices) };
+      }
 
-    // prevent further zoom if at limits
-    if (this.atLimits()) {
-      this.camera.zoom = prevZoom; // undo
-      this.updateMatrix();
-      return; // abort
-    }
+      // raster images & quads are shared by the style layers of a tile
+      const { raster } = featureSet;
+      if (raster && !raster.texture && raster.image) {
+        raster.buffer = this.createVertexBuffer(raster.vertices);
+        raster.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, raster.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, raster.image);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        this.renderStats.bufferUploads++;
+        raster.image.close(); // no longer needed once uploaded
+        raster.image = null;
+      }
+    });
+  }
 
-    // get new position after zooming
-    const [postZoomX, postZoomY] = vec3.transformMat3(
+  // from a given position in clip space, return the canvas relative pixel position
+  projectToScreen = ([x, y]) => {
+    const [clipX, clipY, , w] = vec4.transformMat4(
       [],
-      [x, y, 0],
-      mat3.invert([], this.viewProjectionMat)
+      [x, y, 0, 1],
+      this.viewProjectionMat,
     );
 
-    // camera needs to be moved the difference of before and after
-    this.camera.x += preZoomX - postZoomX;
-    this.camera.y += preZoomY - postZoomY;
+    return [
+      ((1 + clipX / w) / 2) * this.width,
+      ((1 - clipY / w) / 2) * this.height,
+    ];
+  }
 
-    this.updateMatrix();
-    this.updateTiles();
+  // from a given canvas relative pixel position, return the position in clip space
+  unprojectFromScreen = ([x, y]) => {
+    const clipX = (x / this.width) * 2 - 1;
+    const clipY = 1 - (y / this.height) * 2;
+    return this.unprojectFromClip([clipX, clipY]);
   }
 
-  // from a given mouse position on the canvas, return the xy value in clip space
-  getClipSpacePosition = (e) => {
-    // get position from mouse or touch event
-    const [x, y] = [
-      e.center?.x || e.clientX,
-      e.center?.y || e.clientY
-    ];
+  // place labels of all visible symbol layers, hiding the ones that overlap
+  //   symbolSets: [{ featureSet, wrap }], placed in the copy of the world `wrap`
+  // returns the number of vertices drawn
+  drawLabels = (symbolSets) => {
+    const { gl, symbolProgram, program, glyphAtlas, camera } = this;
+    if (symbolSets.length === 0) {
+      return 0;
+    }
 
-    // get canvas relative css position
-    const rect = this.canvas.getBoundingClientRect();
-    const cssX = x - rect.left;
-    const cssY = y - rect.top;
+    // group labels by style layer
+    const labelsByLayer = {};
+    symbolSets.forEach(({ featureSet: { layer, labels }, wrap }) => {
+      labelsByLayer[layer] = labelsByLayer[layer] || [];
+      labelsByLayer[layer].push(...(wrap ? labels.map((label) => ({ ...label, x: label.x + wrap * 2 })) : labels));
+    });
 
-    // get normalized 0 to 1 position across and down canvas
-    const normalizedX = cssX / this.canvas.clientWidth;
-    const normalizedY = cssY / this.canvas.clientHeight;
+    // place labels, top-most layers win collisions
+    const collisionIndex = new CollisionIndex(this.width, this.height);
+    const pixelSize = 2 / (TILE_SIZE * Math.pow(2, camera.zoom)); // clip space units per pixel
+    const placedLayers = [];
+    [...this.layers].reverse().forEach((layer) => {
+      if (!labelsByLayer[layer.id] || !this.isLayerVisible(layer)) {
+        return;
+      }
 
-    // convert to clip space
-    const clipX = normalizedX *  2 - 1;
-    const clipY = normalizedY * -2 + 1;
+      const font = layer.font ?? 'sans-serif';
+      const scale = (layer.textSize ?? 12) / ATLAS_FONT_SIZE;
+      const vertices = [];
+
+      labelsByLayer[layer.id].forEach((label) => {
+        const anchor = this.projectToScreen([label.x, label.y]);
+        const glyphs = [...label.text].map((char) => glyphAtlas.getGlyph(font, char));
+
+        // rotate line labels to follow the line, keeping them upright
+        let angle = 0;
+        if (label.dirX !== undefined) {
+          const [aheadX, aheadY] = this.projectToScreen([
+            label.x + label.dirX * pixelSize,
+            label.y + label.dirY * pixelSize,
+          ]);
+          angle = Math.atan2(aheadY - anchor[1], aheadX - anchor[0]);
+          if (angle > Math.PI / 2) angle -= Math.PI;
+          if (angle < -Math.PI / 2) angle += Math.PI;
+        }
 
-    return [clipX, clipY];
-  }
+        const placement = layoutLabel({
+          glyphs,
+          anchor,
+          angle,
+          scale,
+          atlasSize: glyphAtlas.size,
+          padding: layer.textPadding ?? 2,
+        });
+
+        // skip labels longer than the line they follow
+        if (label.length !== undefined && placement.width > label.length / pixelSize) {
+          return;
+        }
 
-  // get latLng bbox for current viewport
-  getBounds = () => {
-    const zoomScale = Math.pow(2, this.camera.zoom);
+        if (collisionIndex.place(placement.boxes)) {
+          vertices.push(...placement.vertices);
+        }
+      });
 
-    // undo clip-space
-    const px = (1 + this.camera.x) / this.pixelRatio;
-    const py = (1 - this.camera.y) / this.pixelRatio;
+      placedLayers.unshift({ layer, scale, vertices: new Float32Array(vertices) });
+    });
 
-    // get world coord in px
-    const wx = px * TILE_SIZE;
-    const wy = py * TILE_SIZE;
+    gl.useProgram(symbolProgram);
+    glyphAtlas.updateTexture(gl, this.glyphTexture);
+
+    // set uniforms
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.glyphTexture);
+    const locations = this.locations.get(symbolProgram);
+    gl.uniform1i(locations.u_texture, 0);
+    gl.uniform2f(locations.u_resolution, this.width, this.height); // css pixels
+    const colorLocation = locations.u_color;
+    const bufferLocation = locations.u_buffer;
+    const gammaLocation = locations.u_gamma;
+
+    // interleaved attributes: position (2), texcoord (2)
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.labelBuffer);
+    const attributes = this.setAttributes(symbolProgram, [
+      ['a_position', 2, 0],
+      ['a_texcoord', 2, 2],
+    ], LABEL_VERTEX_SIZE);
 
-    // get zoom px
-    const zx = wx * zoomScale;
-    const zy = wy * zoomScale;
+    let vertexCount = 0;
+    placedLayers.forEach(({ layer, scale, vertices }) => {
+      if (vertices.length === 0) {
+        return;
+      }
+      gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW); // labels are placed again every frame
+      this.renderStats.bufferUploads++;
+      const count = vertices.length / LABEL_VERTEX_SIZE;
+
+      // one canvas pixel in distance field units, at this text size
+      const pixel = 1 / (SDF_RADIUS * scale * this.pixelRatio);
+      const edge = 1 - SDF_CUTOFF;
+      gl.uniform1f(gammaLocation, pixel / 2);
+
+      // halo
+      const haloWidth = layer.haloWidth ?? 1;
+      if (haloWidth > 0) {
+        const [r, g, b, a] = getLayerColor({ color: layer.haloColor ?? [255, 255, 255, 255], opacity: layer.opacity });
+        gl.uniform4fv(colorLocation, [r, g, b, a]);
+        gl.uniform1f(bufferLocation, edge - haloWidth * pixel);
+        this.drawArrays(gl.TRIANGLES, count);
+      }
 
-    // get bottom-left and top-right pixels
-    let x1 = zx - (this.canvas.width / 2);
-    let y1 = zy + (this.canvas.height / 2);
-    let x2 = zx + (this.canvas.width / 2);
-    let y2 = zy - (this.canvas.height / 2);
+      // text
+      gl.uniform4fv(colorLocation, getLayerColor(layer));
+      gl.uniform1f(bufferLocation, edge);
+      this.drawArrays(gl.TRIANGLES, count);
 
-    // convert to world coords
-    x1 = x1 / zoomScale / TILE_SIZE;
-    y1 = y1 / zoomScale / TILE_SIZE;
-    x2 = x2 / zoomScale / TILE_SIZE;
-    y2 = y2 / zoomScale / TILE_SIZE;
+      vertexCount += vertices.length;
+    });
 
-    // get LngLat bounding box
-    const bbox = [
-      MercatorCoordinate.lngFromMercatorX(x1),
-      MercatorCoordinate.latFromMercatorY(y1),
-      MercatorCoordinate.lngFromMercatorX(x2),
-      MercatorCoordinate.latFromMercatorY(y2)
-    ];
+    // restore default program
+    attributes.forEach((location) => gl.disableVertexAttribArray(location));
+    gl.useProgram(program);
 
-    return bbox;
+    return vertexCount;
   }
 
-  // check if map is at world limits
-  // lng: -180 - 180
-  // lat: -85.05 - 85.05
-  atLimits = () => {
-    const bbox = this.getBounds();
-    return (
-      bbox[0] <= -180 ||
-      bbox[1] <= -85.05 ||
-      bbox[2] >= 180 ||
-      bbox[3] >= 85.05
-    );
-  }
+  // draw polygon & point feature sets of a style layer with the default program
+  //   tileFeatureSets: [{ featureSet, stencil }], each clipped to the tile it's drawn for
+  // returns the number of vertices drawn
+  drawFills = (tileFeatureSets, layer) => {
+    const { gl, program } = this;
+    const locations = this.locations.get(program);
+    if (tileFeatureSets.length === 0) {
+      return 0;
+    }
 
-  // re-draw the scene
-  draw = () => {
-    const {
-      gl,
-      program,
-      viewProjectionMat,
-      tilesInView,
-      tiles,
-      mapOptions,
-      overlay,
-      pixelRatio,
-      canvas,
-      stats,
-    } = this;
+    // set uniforms
+    gl.uniform4fv(locations.u_color, getLayerColor(layer));
+    gl.uniform1f(locations.u_pointSize, (layer.pointSize ?? 3) * this.pixelRatio); // in canvas pixels
+    gl.enableVertexAttribArray(locations.a_position);
 
-    // stats reporting
-    let start = performance.now();
     let vertexCount = 0;
-    if (mapOptions.debug) {
-      stats.begin();
+    tileFeatureSets.forEach(({ featureSet, stencil, wrap }) => {
+      const { type, vertices, buffers } = featureSet;
+      if (!buffers?.vertices) {
+        return; // no vertices
+      }
+      this.clipToTile(stencil);
+      gl.uniformMatrix4fv(locations.u_matrix, false, this.getTileMatrix(featureSet.tile, wrap));
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertices);
+      gl.vertexAttribPointer(locations.a_position, 2, gl.SHORT, false, 0, 0); // 16 bit tile coordinates
+      this.drawArrays(getPrimitiveType(gl, type), vertices.length / 2);
+      vertexCount += vertices.length;
+    });
+
+    return vertexCount;
+  }
+
+  // draw sprite icons for the point feature sets of a style layer with the icon program
+  //   featureSets: [{ featureSet, wrap }], drawn in the copy of the world `wrap`
+  // returns the number of vertices drawn
+  drawIcons = (featureSets, layer) => {
+    const { gl, iconProgram, program, sprite } = this;
+    const locations = this.locations.get(iconProgram);
+    if (!sprite || featureSets.length === 0) {
+      return 0; // wait for sprite to load
     }
 
-    // set matrix uniform
-    const matrixLocation = gl.getUniformLocation(program, "u_matrix");
-    gl.uniformMatrix3fv(matrixLocation, false, viewProjectionMat);
+    gl.useProgram(iconProgram);
 
-    // render tiles
-    tilesInView.forEach((tile) => {
-      let featureSets = tiles[tile.join('/')];
+    // set uniforms
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, sprite.texture);
+    gl.uniform1i(locations.u_texture, 0);
+    gl.uniform2f(locations.u_resolution, this.width, this.height); // css pixels
+    gl.uniform1f(locations.u_opacity, layer.opacity ?? 1);
 
-      if (featureSets?.length === 0) {
-        featureSets = this.getPlaceholderTile(tile);
+    let vertexCount = 0;
+    let attributes = [];
+    const iconLayout = [layer.iconSize, layer.iconRotate, layer.iconAnchor].join('/');
+    featureSets.forEach(({ featureSet, wrap }) => {
+      // icon quads are built & uploaded once per sprite sheet & icon layout
+      if (featureSet.iconSprite !== sprite || featureSet.iconLayout !== iconLayout) {
+        featureSet.iconVertices = buildIconVertices(featureSet, sprite, layer);
+        featureSet.iconSprite = sprite;
+        featureSet.iconLayout = iconLayout;
+        featureSet.buffers = featureSet.buffers || {};
+        if (featureSet.buffers.icons) {
+          gl.deleteBuffer(featureSet.buffers.icons);
+        }
+        featureSet.buffers.icons = featureSet.iconVertices.length > 0
+          ? this.createVertexBuffer(featureSet.iconVertices)
+          : null;
+      }
+      const vertices = featureSet.iconVertices;
+      if (!featureSet.buffers?.icons) {
+        return;
       }
 
-      (featureSets || []).forEach((featureSet) => {
-        const { layer, type, vertices } = featureSet;
+      gl.uniformMatrix4fv(locations.u_matrix, false, this.getTileMatrix(featureSet.tile, wrap));
 
-        if (mapOptions.disabledLayers.includes(layer)) {
-          return;
-        }
+      // interleaved attributes: position (2), offset (2), texcoord (2)
+      gl.bindBuffer(gl.ARRAY_BUFFER, featureSet.buffers.icons);
+      attributes = this.setAttributes(iconProgram, [
+        ['a_position', 2, 0],
+        ['a_offset', 2, 2],
+        ['a_texcoord', 2, 4],
+      ], ICON_VERTEX_SIZE);
 
-        const color = mapOptions.layers[layer].map((n) => n / 255); // RBGA to WebGL
+      this.drawArrays(gl.TRIANGLES, vertices.length / ICON_VERTEX_SIZE);
+      vertexCount += vertices.length;
+    });
 
-        // set color uniform
-        const colorLocation = gl.getUniformLocation(program, "u_color");
-        gl.uniform4fv(colorLocation, color);
+    // restore default program
+    attributes.forEach((location) => gl.disableVertexAttribArray(location));
+    gl.useProgram(program);
 
-        // create buffer for vertices
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+    return vertexCount;
+  }
 
-        // setup position attribute
-        const positionAttributeLocation = gl.getAttribLocation(program, "a_position");
-        gl.enableVertexAttribArray(positionAttributeLocation);
+  // draw the raster tile images of a style layer with the raster program
+  //   tileFeatureSets: [{ featureSet, stencil }], each clipped to the tile it's drawn for
+  // returns the number of vertices drawn
+  drawRasters = (tileFeatureSets, layer) => {
+    const { gl, rasterProgram, program } = this;
+    const locations = this.locations.get(rasterProgram);
+    if (tileFeatureSets.length === 0) {
+      return 0;
+    }
 
-        // tell the attribute how to get data out of positionBuffer (ARRAY_BUFFER)
-        const size = 2;
-        const dataType = gl.FLOAT;
-        const normalize = false;
-        const stride = 0;
-        let offset = 0; 
-        gl.vertexAttribPointer(positionAttributeLocation, size, dataType, normalize, stride, offset);
+    gl.useProgram(rasterProgram);
 
-        // draw
-        const primitiveType = getPrimitiveType(gl, type);
-        offset = 0;
-        const count = vertices.length / 2;
-        gl.drawArrays(primitiveType, offset, count);
+    // set uniforms
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(locations.u_texture, 0);
+    gl.uniform1f(locations.u_opacity, layer.opacity ?? 1);
+    gl.uniform1f(locations.u_brightness, layer.brightness ?? 0);
+    gl.uniform1f(locations.u_saturation, layer.saturation ?? 0);
 
-        // update frame stats
-        vertexCount += vertices.length;
-      });
+    let vertexCount = 0;
+    let attributes = [];
+    tileFeatureSets.forEach(({ featureSet: { raster, tile }, stencil, wrap }) => {
+      if (!raster.texture) {
+        return; // released
+      }
+      this.clipToTile(stencil);
+      gl.uniformMatrix4fv(locations.u_matrix, false, this.getTileMatrix(tile, wrap));
+      gl.bindTexture(gl.TEXTURE_2D, raster.texture);
+
+      // interleaved attributes: position (2), texcoord (2)
+      gl.bindBuffer(gl.ARRAY_BUFFER, raster.buffer);
+      attributes = this.setAttributes(rasterProgram, [
+        ['a_position', 2, 0],
+        ['a_texcoord', 2, 2],
+      ], 4);
+
+      this.drawArrays(gl.TRIANGLES, raster.vertices.length / 4);
+      vertexCount += raster.vertices.length;
     });
 
-    // clear debug info
-    overlay.replaceChildren();
-    this.debugInfo.style.display = 'none';
-    this.statsWidget.style.display = 'none';
+    // restore default program
+    attributes.forEach((location) => gl.disableVertexAttribArray(location));
+    gl.useProgram(program);
 
-    // draw debug tile boundaries
-    if (mapOptions.debug) {
-      this.debugInfo.style.display = 'block';
-      this.statsWidget.style.display = 'block';
+    return vertexCount;
+  }
 
-      tilesInView.forEach((tile) => { // todo: move up in other tile loop
-        const colorLocation = gl.getUniformLocation(program, "u_color");
-        gl.uniform4fv(colorLocation, [1, 0, 0, 1]);
-
-        const tileVertices = geometryToVertices(tilebelt.tileToGeoJSON(tile));
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, tileVertices, gl.STATIC_DRAW);
-
-        // setup position attribute
-        const positionAttributeLocation = gl.getAttribLocation(program, "a_position");
-        gl.enableVertexAttribArray(positionAttributeLocation);
-
-        // tell the attribute how to get data out of positionBuffer (ARRAY_BUFFER)
-        const size = 2;
-        const dataType = gl.FLOAT;
-        const normalize = false;
-        const stride = 0;
-        let offset = 0; 
-        gl.vertexAttribPointer(positionAttributeLocation, size, dataType, normalize, stride, offset);
-
-        // draw
-        const primitiveType = gl.LINES;
-        offset = 0;
-        const count = tileVertices.length / 2;
-        gl.drawArrays(primitiveType, offset, count);
-
-        // draw tile labels
-        const tileCoordinates = tilebelt.tileToGeoJSON(tile).coordinates;
-        const topLeft = tileCoordinates[0][0];
-        const [x, y] = MercatorCoordinate.fromLngLat(topLeft);
+  // draw thick line triangles for the line feature sets of a style layer with the line program
+  //   tileFeatureSets: [{ featureSet, stencil }], each clipped to the tile it's drawn for
+  // returns the number of vertices drawn
+  drawLines = (tileFeatureSets, layer) => {
+    const { gl, lineProgram, program, camera } = this;
+    const locations = this.locations.get(lineProgram);
+    if (tileFeatureSets.length === 0) {
+      return 0;
+    }
 
-        const [clipX, clipY] = vec3.transformMat3(
-          [],
-          [x, y, 1],
-          viewProjectionMat,
-        );
+    gl.useProgram(lineProgram);
 
-        const wx = ((1 + clipX) / pixelRatio) * canvas.width;
-        const wy = ((1 - clipY) / pixelRatio) * canvas.height;
-        const div = document.createElement("div");
-        div.className = "tile-label";
-        div.style.left = (wx + 8) + "px";
-        div.style.top  = (wy + 8) + "px";
-        div.appendChild(document.createTextNode(tile.join('/')));
-        overlay.appendChild(div);
-      });
+    // set uniforms
+    const pixelSize = 2 / (TILE_SIZE * Math.pow(2, camera.zoom)); // clip space units per pixel
+    gl.uniform1f(locations.u_width, layer.width ?? 1);
+    gl.uniform4fv(locations.u_color, getLayerColor(layer));
 
-      // capture stats
-      this.frameStats = {
-        vertices: vertexCount,
-        elapsed: performance.now() - start,
+    let vertexCount = 0;
+    let attributes = [];
+    tileFeatureSets.forEach(({ featureSet: { vertices, buffers, tile }, stencil, wrap }) => {
+      if (!buffers?.vertices) {
+        return; // no vertices
       }
-      stats.end();
-    }
+      this.clipToTile(stencil);
+      gl.uniformMatrix4fv(locations.u_matrix, false, this.getTileMatrix(tile, wrap));
+      gl.uniform1f(locations.u_pixelSize, (pixelSize * TILE_EXTENT) / getTileOrigin(tile).size); // in tile units
+
+      // interleaved attributes: position (2), extrude (2), side (1)
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertices);
+      attributes = this.setAttributes(lineProgram, [
+        ['a_position', 2, 0],
+        ['a_extrude', 2, 2],
+        ['a_side', 1, 4],
+      ], LINE_VERTEX_SIZE);
+
+      this.drawArrays(gl.TRIANGLES, vertices.length / LINE_VERTEX_SIZE);
+      vertexCount += vertices.length;
+    });
+
+    // restore default program
+    attributes.forEach((location) => gl.disableVertexAttribArray(location));
+    gl.useProgram(program);
 
-    window.requestAnimationFrame(this.draw); // call next loop
+    return vertexCount;
   }
 
   // create DOM elements
@@ -589,15 +2838,15 @@ class WebGLMap {
     const canvas = document.createElement('canvas');
     const canvasId = `WebGLMap-canvas-${this.mapOptions.id}`;
     canvas.setAttribute('id', canvasId);
-    canvas.setAttribute('width', this.mapOptions.width);
-    canvas.setAttribute('height', this.mapOptions.height);
     this.canvas = canvas;
 
-    // create overlay (for tile debugging)
+    // create overlay (for markers, popups & tile debugging)
     const overlay = document.createElement('div');
     const overlayId = `WebGLMap-overlay-${this.mapOptions.id}`;
     overlay.setAttribute('id', overlayId);
     this.overlay = overlay;
+    this.tileLabels = document.createElement('div');
+    overlay.appendChild(this.tileLabels);
 
     // create div for debug info
     const debugInfo = document.createElement('div');
@@ -605,13 +2854,20 @@ class WebGLMap {
     debugInfo.setAttribute('id', debugInfoId);
     this.debugInfo = debugInfo;
 
+    // create div for source attributions
+    const attribution = document.createElement('div');
+    const attributionId = `WebGLMap-attribution-${this.mapOptions.id}`;
+    attribution.setAttribute('id', attributionId);
+    attribution.setAttribute('class', 'WebGLMap-attribution');
+    this.attribution = attribution;
+
     // create style tag
     const style = document.createElement('style');
     style.appendChild(document.createTextNode(`
       #${canvasId} {
         position: absolute;
-        width: ${this.mapOptions.width}px;
-        height: ${this.mapOptions.height}px;
+        width: 100%;
+        height: 100%;
         top: 0;
         left: 0;
         background: transparent;
@@ -623,12 +2879,48 @@ class WebGLMap {
 
       #${overlayId} {
         position: absolute;
-        width: ${this.mapOptions.width}px;
-        height: ${this.mapOptions.height}px;
+        width: 100%;
+        height: 100%;
         top: 0;
         left: 0;
         overflow: hidden;
         user-select: none;
+        pointer-events: none;
+        z-index: 1;
+      }
+
+      #${overlayId} .WebGLMap-marker,
+      #${overlayId} .WebGLMap-popup {
+        position: absolute;
+        top: 0;
+        left: 0;
+        pointer-events: auto;
+      }
+
+      #${overlayId} .WebGLMap-marker-draggable {
+        cursor: move;
+        touch-action: none;
+      }
+
+      #${overlayId} .WebGLMap-popup {
+        max-width: 240px;
+        padding: 10px 24px 10px 10px;
+        background: white;
+        border-radius: 4px;
+        box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3);
+        font: 12px sans-serif;
+        user-select: text;
+      }
+
+      #${overlayId} .WebGLMap-popup-close {
+        position: absolute;
+        top: 0;
+        right: 0;
+        padding: 2px 6px;
+        border: none;
+        background: transparent;
+        font-size: 16px;
+        cursor: pointer;
       }
 
       #${overlayId} .tile-label {
@@ -646,6 +2938,21 @@ class WebGLMap {
         font-size: 10px;
         white-space: pre;
       }
+
+      #${attributionId} {
+        position: absolute;
+        z-index: 2;
+        bottom: 0;
+        right: 0;
+        background: rgba(255, 255, 255, 0.7);
+        padding: 0 5px;
+        font: 11px sans-serif;
+        color: #333;
+      }
+
+      #${attributionId}:empty {
+        display: none;
+      }
     `));
 
     // create wrapper
@@ -655,16 +2962,19 @@ class WebGLMap {
     wrapper.setAttribute('class', 'WebGLMap-wrapper');
     wrapper.style.position = 'relative';
     wrapper.style.overflow = 'hidden';
-    wrapper.style.width = this.mapOptions.width + 'px';
-    wrapper.style.height = this.mapOptions.height + 'px';
+    wrapper.style.width = this.mapOptions.width ? this.mapOptions.width + 'px' : '100%';
+    wrapper.style.height = this.mapOptions.height ? this.mapOptions.height + 'px' : '100%';
+    this.wrapper = wrapper;
     wrapper.appendChild(overlay);
     wrapper.appendChild(canvas);
     wrapper.appendChild(debugInfo);
+    wrapper.appendChild(attribution);
 
     // append elements to DOM
     const el = document.getElementById(this.mapOptions.id);
     el.appendChild(wrapper);
     el.appendChild(style);
+    this.style = style;
 
     if (this.mapOptions.debug) {
       this.stats.showPanel(0);
@@ -672,14 +2982,57 @@ class WebGLMap {
       this.statsWidget.style.position = 'absolute';
       wrapper.appendChild(this.statsWidget);
     }
+
+    this.updateSize();
+  }
+
+  // size the canvas to the wrapper, drawing at the device pixel ratio (up to `maxPixelRatio`)
+  // returns true if the size changed
+  updateSize = () => {
+    const { canvas, wrapper } = this;
+    const width = Math.max(1, wrapper.clientWidth);
+    const height = Math.max(1, wrapper.clientHeight);
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, this.mapOptions.maxPixelRatio);
+    if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) {
+      return false;
+    }
+
+    this.width = width; // css pixels, used for all screen positions
+    this.height = height;
+    this.pixelRatio = pixelRatio; // canvas pixels per css pixel
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    return true;
+  }
+
+  // resize the map to its container (done automatically when the container or pixel ratio changes),
+  // or to a new fixed size in css pixels
+  resize = (width, height) => {
+    if (width && height) {
+      this.mapOptions.width = width;
+      this.mapOptions.height = height;
+      this.wrapper.style.width = width + 'px';
+      this.wrapper.style.height = height + 'px';
+    }
+    if (!this.updateSize()) {
+      return this;
+    }
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    Object.assign(this.camera, this.constrainCamera(this.camera)); // a taller view may reach past the latitude limits
+    this.updateMatrix();
+    this.updateTiles();
+    this.fireCameraEvent('resize', { width: this.width, height: this.height, pixelRatio: this.pixelRatio });
+    return this;
   }
 
   updateDebugInfo = () => {
-    const { x, y, zoom } = this.camera;
+    const { x, y, zoom, bearing, pitch } = this.camera;
     const [lng, lat] = MercatorCoordinate.fromXY([x, y]);
     const text = [
       `center: [${lng}, ${lat}]`,
-      `zoom: ${zoom}`
+      `zoom: ${zoom}`,
+      `bearing: ${bearing}`,
+      `pitch: ${pitch}`,
     ];
     this.debugInfo.innerHTML = text.join('\n');
   }
@@ -687,10 +3040,15 @@ class WebGLMap {
   // get stats from map
   getMapInfo = () => {
     return {
-      tiles: this.tiles,
+      tiles: this.tileCache.keys(),
+      tileCache: this.tileCache.getStats(),
       frameStats: this.frameStats,
     }
   }
 }
 
+// markers & popups are available from the map class, e.g. `new WebGLMap.Marker()` (the bundle only has a default export)
+WebGLMap.Marker = Marker;
+WebGLMap.Popup = Popup;
+
 export default WebGLMap;
@@ -0,0 +1,167 @@
+import Evented from './utils/evented';
+import { setElementPosition } from './utils/dom-utils';
+
+// pin shown when a marker has no element of its own
+const createDefaultElement = () => {
+  const element = document.createElement('div');
+  element.innerHTML = `
+    <svg width="27" height="41" viewBox="0 0 27 41">
+      <path fill="#3fb1ce" stroke="#2b8aa2" d="M13.5 0.5C6.3 0.5 0.5 6.3 0.5 13.5c0 9.8 13 27 13 27s13-17.2 13-27C26.5 6.3 20.7 0.5 13.5 0.5z"/>
+      <circle fill="white" cx="13.5" cy="13.5" r="5"/>
+    </svg>
+  `;
+  return element;
+};
+
+// DOM element pinned to a [lng, lat] on the map, following the camera
+//
+// draggable markers fire "dragstart", "drag" and "dragend" with their new `lngLat`
+class Marker extends Evented {
+  //   element: DOM element to show (default: a pin, anchored at its bottom)
+  //   anchor: part of the element at the marker's position: 'center' (default), 'top', 'bottom', 'left', 'right',
+  //     'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+  //   offset: [x, y] in pixels to move the element by
+  //   draggable: let the user drag the marker to a new position
+  constructor({ element, anchor, offset = [0, 0], draggable = false } = {}) {
+    super();
+    this.element = element || createDefaultElement();
+    this.element.classList.add('WebGLMap-marker');
+    this.anchor = anchor || (element ? 'center' : 'bottom');
+    this.offset = offset;
+    this.lngLat = null;
+    this.map = null;
+    this.popup = null;
+
+    this.element.addEventListener('pointerdown', this.handlePointerDown);
+    this.element.addEventListener('click', this.handleClick);
+    this.setDraggable(draggable);
+  }
+
+  getElement = () => {
+    return this.element;
+  }
+
+  getLngLat = () => {
+    return this.lngLat;
+  }
+
+  setLngLat = (lngLat) => {
+    this.lngLat = lngLat;
+    this.popup?.setLngLat(lngLat);
+    this.update();
+    return this;
+  }
+
+  setOffset = (offset) => {
+    this.offset = offset;
+    this.update();
+    return this;
+  }
+
+  setDraggable = (draggable) => {
+    this.draggable = draggable;
+    this.element.classList.toggle('WebGLMap-marker-draggable', draggable);
+    return this;
+  }
+
+  // show a popup when the marker is clicked
+  setPopup = (popup) => {
+    this.popup?.remove();
+    this.popup = popup;
+    if (popup && this.lngLat) {
+      popup.setLngLat(this.lngLat);
+    }
+    return this;
+  }
+
+  togglePopup = () => {
+    const { popup, map } = this;
+    if (!popup || !map) {
+      return this;
+    }
+    if (popup.isOpen()) {
+      popup.remove();
+    } else {
+      popup.setLngLat(this.lngLat).addTo(map);
+    }
+    return this;
+  }
+
+  addTo = (map) => {
+    this.remove();
+    this.map = map;
+    map.overlay.appendChild(this.element);
+    map.markers.add(this);
+    this.update();
+    return this;
+  }
+
+  remove = () => {
+    if (this.map) {
+      this.map.markers.delete(this);
+      this.element.remove();
+      this.popup?.remove();
+      this.map = null;
+    }
+    return this;
+  }
+
+  // move the element to the marker's screen position, called by the map every frame
+  update = () => {
+    const { map, element } = this;
+    if (!map || !this.lngLat) {
+      return;
+    }
+    // hidden while behind the camera, where the projected position would be mirrored
+    if (map.isBehindCamera(this.lngLat)) {
+      element.style.display = 'none';
+      return;
+    }
+    element.style.display = '';
+    setElementPosition(element, map.project(this.lngLat), this.anchor, this.offset);
+  }
+
+  handleClick = () => {
+    if (!this.dragged) { // not the click ending a drag
+      this.togglePopup();
+    }
+  }
+
+  // drag the marker, keeping the point it was grabbed at under the pointer
+  handlePointerDown = (startEvent) => {
+    const { map } = this;
+    this.dragged = false;
+    if (!this.draggable || !map || !this.lngLat || startEvent.button > 0) {
+      return;
+    }
+    startEvent.preventDefault();
+    const [startX, startY] = map.getScreenPosition(startEvent);
+    const [markerX, markerY] = map.project(this.lngLat);
+    const grabOffset = [startX - markerX, startY - markerY];
+
+    const move = (moveEvent) => {
+      const [x, y] = map.getScreenPosition(moveEvent);
+      if (!this.dragged) {
+        this.dragged = true;
+        this.fire('dragstart', { lngLat: this.lngLat, originalEvent: moveEvent });
+      }
+      this.setLngLat(map.unproject([x - grabOffset[0], y - grabOffset[1]]));
+      this.fire('drag', { lngLat: this.lngLat, originalEvent: moveEvent });
+    };
+
+    // clear on release
+    const clear = (endEvent) => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', clear);
+      window.removeEventListener('pointercancel', clear);
+      if (this.dragged) {
+        this.fire('dragend', { lngLat: this.lngLat, originalEvent: endEvent });
+      }
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', clear);
+    window.addEventListener('pointercancel', clear);
+  }
+}
+
+export default Marker;
@@ -0,0 +1,118 @@
+import Evented from './utils/evented';
+import { setElementPosition } from './utils/dom-utils';
+
+// box of HTML content pinned to a [lng, lat] on the map, following the camera
+//
+// fires "open" when added to a map and "close" when removed
+class Popup extends Evented {
+  //   anchor: part of the popup at its position (default 'bottom', above the position), see Marker
+  //   offset: [x, y] in pixels to move the popup by
+  //   closeButton: show a button to close the popup (default true)
+  //   closeOnClick: close the popup when the map is clicked (default true)
+  //   className: extra css classes for the popup
+  constructor({ anchor = 'bottom', offset = [0, 0], closeButton = true, closeOnClick = true, className } = {}) {
+    super();
+    this.anchor = anchor;
+    this.offset = offset;
+    this.closeOnClick = closeOnClick;
+    this.lngLat = null;
+    this.map = null;
+
+    this.element = document.createElement('div');
+    this.element.className = ['WebGLMap-popup', className].filter(Boolean).join(' ');
+    this.content = document.createElement('div');
+    this.content.className = 'WebGLMap-popup-content';
+    this.element.appendChild(this.content);
+    if (closeButton) {
+      const button = document.createElement('button');
+      button.className = 'WebGLMap-popup-close';
+      button.setAttribute('type', 'button');
+      button.setAttribute('aria-label', 'Close popup');
+      button.textContent = '×';
+      button.addEventListener('click', this.remove);
+      this.element.appendChild(button);
+    }
+  }
+
+  getElement = () => {
+    return this.element;
+  }
+
+  getLngLat = () => {
+    return this.lngLat;
+  }
+
+  setLngLat = (lngLat) => {
+    this.lngLat = lngLat;
+    this.update();
+    return this;
+  }
+
+  setOffset = (offset) => {
+    this.offset = offset;
+    this.update();
+    return this;
+  }
+
+  // set the content as HTML (only use with trusted content)
+  setHTML = (html) => {
+    this.content.innerHTML = html;
+    return this;
+  }
+
+  setText = (text) => {
+    this.content.textContent = text;
+    return this;
+  }
+
+  setDOMContent = (element) => {
+    this.content.replaceChildren(element);
+    return this;
+  }
+
+  isOpen = () => {
+    return Boolean(this.map);
+  }
+
+  addTo = (map) => {
+    this.remove();
+    this.map = map;
+    map.overlay.appendChild(this.element);
+    map.markers.add(this);
+    if (this.closeOnClick) {
+      map.on('click', this.remove);
+    }
+    this.update();
+    this.fire('open');
+    return this;
+  }
+
+  remove = () => {
+    const { map } = this;
+    if (map) {
+      map.markers.delete(this);
+      map.off('click', this.remove);
+      this.element.remove();
+      this.map = null;
+      this.fire('close');
+    }
+    return this;
+  }
+
+  // move the popup to its screen position, called by the map every frame
+  update = () => {
+    const { map, element } = this;
+    if (!map || !this.lngLat) {
+      return;
+    }
+    // hidden while behind the camera, where the projected position would be mirrored
+    if (map.isBehindCamera(this.lngLat)) {
+      element.style.display = 'none';
+      return;
+    }
+    element.style.display = '';
+    setElementPosition(element, map.project(this.lngLat), this.anchor, this.offset);
+  }
+}
+
+export default Popup;
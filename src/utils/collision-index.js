@@ -0,0 +1,65 @@
+// grid based index of screen space boxes, used to hide overlapping labels
+// boxes are [minX, minY, maxX, maxY] in pixels
+class CollisionIndex {
+  constructor(width, height, cellSize = 64) {
+    this.width = width;
+    this.height = height;
+    this.cellSize = cellSize;
+    this.cols = Math.ceil(width / cellSize);
+    this.rows = Math.ceil(height / cellSize);
+    this.cells = new Array(this.cols * this.rows);
+  }
+
+  // call fn with every cell index a box covers
+  forEachCell = (box, fn) => {
+    const { cellSize, cols, rows } = this;
+    const minCol = Math.max(0, Math.floor(box[0] / cellSize));
+    const minRow = Math.max(0, Math.floor(box[1] / cellSize));
+    const maxCol = Math.min(cols - 1, Math.floor(box[2] / cellSize));
+    const maxRow = Math.min(rows - 1, Math.floor(box[3] / cellSize));
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        fn(row * cols + col);
+      }
+    }
+  }
+
+  // check if a box is on screen and doesn't overlap any inserted box
+  collides = (box) => {
+    if (box[2] < 0 || box[3] < 0 || box[0] > this.width || box[1] > this.height) {
+      return true; // off screen
+    }
+
+    let hit = false;
+    this.forEachCell(box, (cell) => {
+      if (hit || !this.cells[cell]) {
+        return;
+      }
+      hit = this.cells[cell].some((other) => (
+        box[0] < other[2] &&
+        box[2] > other[0] &&
+        box[1] < other[3] &&
+        box[3] > other[1]
+      ));
+    });
+    return hit;
+  }
+
+  insert = (box) => {
+    this.forEachCell(box, (cell) => {
+      this.cells[cell] = this.cells[cell] || [];
+      this.cells[cell].push(box);
+    });
+  }
+
+  // place a group of boxes (e.g. all glyphs of a label) only if none of them collide
+  place = (boxes) => {
+    if (boxes.some(this.collides)) {
+      return false;
+    }
+    boxes.forEach(this.insert);
+    return true;
+  }
+}
+
+export default CollisionIndex;
@@ -0,0 +1,18 @@
+// helpers for decompressing tile data, using the browser's DecompressionStream
+
+// check for the gzip magic number (tile servers & archives often store tiles gzipped)
+export const isGzipped = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  return bytes[0] === 0x1f && bytes[1] === 0x8b;
+};
+
+// decompress an ArrayBuffer, format is 'gzip' or 'deflate'
+export const decompress = async (buffer, format = 'gzip') => {
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream(format));
+  return new Response(stream).arrayBuffer();
+};
+
+// decompress an ArrayBuffer only if it's gzipped
+export const gunzipIfNeeded = async (buffer) => {
+  return isGzipped(buffer) ? decompress(buffer, 'gzip') : buffer;
+};
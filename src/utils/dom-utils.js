@@ -0,0 +1,21 @@
+// helpers for DOM elements positioned over the map (markers & popups)
+
+// css translation that puts the `anchor` part of an element at its position
+export const ANCHOR_TRANSLATE = {
+  'center': '-50%, -50%',
+  'top': '-50%, 0',
+  'bottom': '-50%, -100%',
+  'left': '0, -50%',
+  'right': '-100%, -50%',
+  'top-left': '0, 0',
+  'top-right': '-100%, 0',
+  'bottom-left': '0, -100%',
+  'bottom-right': '-100%, -100%',
+};
+
+// move an element's anchor to a screen position [x, y] (css pixels), shifted by `offset` [x, y]
+// (rounded to whole pixels, so text stays sharp)
+export const setElementPosition = (element, [x, y], anchor = 'center', [offsetX, offsetY] = [0, 0]) => {
+  const translate = ANCHOR_TRANSLATE[anchor] || ANCHOR_TRANSLATE.center;
+  element.style.transform = `translate(${Math.round(x + offsetX)}px, ${Math.round(y + offsetY)}px) translate(${translate})`;
+};
@@ -0,0 +1,45 @@
+// minimal event emitter
+class Evented {
+  constructor() {
+    this.listeners = {}; // type -> listeners
+  }
+
+  // listen for an event
+  on = (type, listener) => {
+    this.listeners[type] = this.listeners[type] || [];
+    this.listeners[type].push(listener);
+    return this;
+  }
+
+  // stop listening for an event
+  off = (type, listener) => {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter((l) => l !== listener && l.listener !== listener);
+    }
+    return this;
+  }
+
+  // listen for the next event only
+  once = (type, listener) => {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      listener(event);
+    };
+    wrapper.listener = listener; // so `off` works with the original listener
+    return this.on(type, wrapper);
+  }
+
+  // check if anything is listening for an event
+  listens = (type) => {
+    return this.listeners[type]?.length > 0;
+  }
+
+  // call all listeners with the event data
+  fire = (type, data = {}) => {
+    const event = { type, target: this, ...data };
+    [...(this.listeners[type] || [])].forEach((listener) => listener(event));
+    return this;
+  }
+}
+
+export default Evented;
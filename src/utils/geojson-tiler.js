@@ -0,0 +1,359 @@
+import MercatorCoordinate from './mercator-coordinate';
+
+// slices GeoJSON data into tiles, in the tile worker
+//
+// features are projected to clip space once, then for each tile requested, features overlapping
+// the tile are clipped to its bounds and simplified for its zoom level, and returned as GeoJSON
+// again, so they can go through the same pipeline as vector tile features
+//
+// features are also bucketed into a grid of cells (the tiles of `INDEX_ZOOM`) once, so a tile only
+// checks the features in its cells, instead of every feature
+
+const TILE_SIZE = 512;
+const INDEX_ZOOM = 8; // zoom of the grid cells (256 x 256)
+const MAX_FEATURE_CELLS = 64; // features covering more cells are checked for every tile instead
+const MAX_TILE_CELLS = 64; // tiles covering more cells (below zoom 5) check every feature
+
+const defaultOptions = {
+  tolerance: 0.375, // simplification tolerance, in pixels
+};
+
+// list the GeoJSON features of a FeatureCollection, Feature or Geometry
+const toFeatures = (data) => {
+  if (!data) {
+    return [];
+  }
+  if (data.type === 'FeatureCollection') {
+    return data.features.flatMap(toFeatures);
+  }
+  if (data.type !== 'Feature') {
+    return toFeatures({ type: 'Feature', geometry: data, properties: {} });
+  }
+  if (data.geometry?.type === 'GeometryCollection') {
+    return data.geometry.geometries.map((geometry) => ({ ...data, geometry }));
+  }
+  return data.geometry ? [data] : [];
+};
+
+// project nested [lng, lat] coordinates to clip space
+const projectCoordinates = (coordinates) => {
+  if (typeof coordinates[0] === 'number') {
+    return MercatorCoordinate.fromLngLat(coordinates);
+  }
+  return coordinates.map(projectCoordinates);
+};
+
+// convert nested clip space coordinates back to [lng, lat]
+const unprojectCoordinates = (coordinates) => {
+  if (typeof coordinates[0] === 'number') {
+    return MercatorCoordinate.fromXY(coordinates);
+  }
+  return coordinates.map(unprojectCoordinates);
+};
+
+const getBounds = (coordinates, bbox = [Infinity, Infinity, -Infinity, -Infinity]) => {
+  if (typeof coordinates[0] === 'number') {
+    bbox[0] = Math.min(bbox[0], coordinates[0]);
+    bbox[1] = Math.min(bbox[1], coordinates[1]);
+    bbox[2] = Math.max(bbox[2], coordinates[0]);
+    bbox[3] = Math.max(bbox[3], coordinates[1]);
+    return bbox;
+  }
+  coordinates.forEach((c) => getBounds(c, bbox));
+  return bbox;
+};
+
+//////////////
+// clipping
+//////////////
+
+// points on the min edges belong to the tile, points on the max edges to the next one
+const pointInBox = ([x, y], box) => {
+  return x >= box[0] && x < box[2] && y > box[1] && y <= box[3];
+};
+
+// clip a line to a box (Liang-Barsky), the line may be split into several parts
+const clipLine = (line, box) => {
+  const parts = [];
+  let part = null;
+
+  for (let i = 0; i < line.length - 1; i++) {
+    const [x0, y0] = line[i];
+    const [x1, y1] = line[i + 1];
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+
+    let t0 = 0;
+    let t1 = 1;
+    const edges = [[-dx, x0 - box[0]], [dx, box[2] - x0], [-dy, y0 - box[1]], [dy, box[3] - y0]];
+    const outside = edges.some(([p, q]) => {
+      if (p === 0) {
+        return q < 0; // parallel to edge
+      }
+      const t = q / p;
+      if (p < 0) {
+        t0 = Math.max(t0, t);
+      } else {
+        t1 = Math.min(t1, t);
+      }
+      return t0 > t1;
+    });
+    if (outside) {
+      part = null;
+      continue;
+    }
+
+    const start = [x0 + t0 * dx, y0 + t0 * dy];
+    const end = [x0 + t1 * dx, y0 + t1 * dy];
+    if (!part || t0 > 0) {
+      part = [start];
+      parts.push(part);
+    }
+    part.push(end);
+    if (t1 < 1) {
+      part = null; // left the box
+    }
+  }
+
+  return parts.filter((p) => p.length > 1);
+};
+
+// clip a polygon ring to a box (Sutherland-Hodgman)
+const clipRing = (ring, box) => {
+  const edges = [
+    [(p) => p[0] >= box[0], (a, b) => intersectX(a, b, box[0])],
+    [(p) => p[0] <= box[2], (a, b) => intersectX(a, b, box[2])],
+    [(p) => p[1] >= box[1], (a, b) => intersectY(a, b, box[1])],
+    [(p) => p[1] <= box[3], (a, b) => intersectY(a, b, box[3])],
+  ];
+
+  let points = ring;
+  edges.forEach(([inside, intersect]) => {
+    const input = points;
+    points = [];
+    for (let i = 0; i < input.length; i++) {
+      const current = input[i];
+      const previous = input[(i + input.length - 1) % input.length];
+      if (inside(current)) {
+        if (!inside(previous)) {
+          points.push(intersect(previous, current));
+        }
+        points.push(current);
+      } else if (inside(previous)) {
+        points.push(intersect(previous, current));
+      }
+    }
+  });
+
+  if (points.length < 3) {
+    return null;
+  }
+  return [...points, points[0]]; // close ring
+};
+
+const intersectX = ([x0, y0], [x1, y1], x) => [x, y0 + ((x - x0) / (x1 - x0)) * (y1 - y0)];
+const intersectY = ([x0, y0], [x1, y1], y) => [x0 + ((y - y0) / (y1 - y0)) * (x1 - x0), y];
+
+//////////////
+// simplification
+//////////////
+
+const distanceToSegmentSq = ([px, py], [ax, ay], [bx, by]) => {
+  let dx = bx - ax;
+  let dy = by - ay;
+  if (dx !== 0 || dy !== 0) {
+    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy)));
+    ax += dx * t;
+    ay += dy * t;
+  }
+  dx = px - ax;
+  dy = py - ay;
+  return dx * dx + dy * dy;
+};
+
+// Douglas-Peucker simplification, keeping the first and last points
+const simplify = (points, tolerance) => {
+  if (points.length <= 2) {
+    return points;
+  }
+  const toleranceSq = tolerance * tolerance;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = 0;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegmentSq(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (maxDistance > toleranceSq) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+};
+
+//////////////
+// tiling
+//////////////
+
+// clip & simplify projected polygons ([polygon: [ring: [point]]]) for a tile
+const clipPolygons = (polygons, box, tolerance) => {
+  return polygons.map((rings) => {
+    const clipped = [];
+    for (let i = 0; i < rings.length; i++) {
+      const ring = clipRing(rings[i], box);
+      const simplified = ring && simplify(ring, tolerance);
+      if (!simplified || simplified.length < 4) {
+        if (i === 0) {
+          return null; // outer ring not in tile
+        }
+        continue; // hole not in tile
+      }
+      clipped.push(simplified);
+    }
+    return clipped;
+  }).filter(Boolean);
+};
+
+// clip & simplify projected lines ([line: [point]]) for a tile
+const clipLines = (lines, box, tolerance) => {
+  return lines
+    .flatMap((line) => clipLine(line, box))
+    .map((line) => simplify(line, tolerance));
+};
+
+// clip a projected geometry to a tile box, returns a GeoJSON geometry or null if not in the tile
+const clipGeometry = ({ type, coordinates }, box, tolerance) => {
+  switch (type) {
+    case 'Point':
+      return pointInBox(coordinates, box) ? { type, coordinates } : null;
+    case 'MultiPoint': {
+      const points = coordinates.filter((point) => pointInBox(point, box));
+      return points.length > 0 ? { type, coordinates: points } : null;
+    }
+    case 'LineString':
+    case 'MultiLineString': {
+      const lines = clipLines(type === 'LineString' ? [coordinates] : coordinates, box, tolerance);
+      if (lines.length === 0) {
+        return null;
+      }
+      return lines.length === 1
+        ? { type: 'LineString', coordinates: lines[0] }
+        : { type: 'MultiLineString', coordinates: lines };
+    }
+    case 'Polygon':
+    case 'MultiPolygon': {
+      const polygons = clipPolygons(type === 'Polygon' ? [coordinates] : coordinates, box, tolerance);
+      if (polygons.length === 0) {
+        return null;
+      }
+      return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+    }
+    default:
+      return null;
+  }
+};
+
+class GeoJSONTiler {
+  //   data: GeoJSON FeatureCollection, Feature or Geometry
+  //   options.tolerance: simplification tolerance in pixels (0 to disable)
+  constructor(data, options = {}) {
+    this.options = { ...defaultOptions, ...options };
+
+    // features without an id get their index, so they can be told apart across tiles
+    this.features = toFeatures(data).map((feature, i) => {
+      const coordinates = projectCoordinates(feature.geometry.coordinates);
+      return {
+        id: feature.id ?? i,
+        properties: feature.properties || {},
+        geometry: { type: feature.geometry.type, coordinates },
+        bbox: getBounds(coordinates),
+      };
+    });
+    this.buildIndex();
+  }
+
+  // bucket feature indexes into the grid cells their bbox covers
+  buildIndex = () => {
+    const cells = Math.pow(2, INDEX_ZOOM);
+    const toCell = (value) => Math.max(0, Math.min(cells - 1, Math.floor(((1 + value) / 2) * cells)));
+
+    this.cells = new Map(); // row * cells + column -> feature indexes
+    this.wideFeatures = []; // feature indexes, checked for every tile
+    this.features.forEach(({ bbox }, i) => {
+      const [minCol, maxCol] = [toCell(bbox[0]), toCell(bbox[2])];
+      const [minRow, maxRow] = [toCell(-bbox[3]), toCell(-bbox[1])]; // rows count down from the top
+      if (!((maxCol - minCol + 1) * (maxRow - minRow + 1) <= MAX_FEATURE_CELLS)) { // also without a valid bbox
+        this.wideFeatures.push(i);
+        return;
+      }
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          const key = row * cells + col;
+          if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+          }
+          this.cells.get(key).push(i);
+        }
+      }
+    });
+  }
+
+  // features that may be in a tile, in their original order
+  getTileFeatures = (x, y, z) => {
+    const cells = Math.pow(2, INDEX_ZOOM);
+    const scale = Math.pow(2, INDEX_ZOOM - z); // cells per tile (less than 1 past the index zoom)
+    const [minCol, minRow] = [Math.floor(x * scale), Math.floor(y * scale)];
+    const [maxCol, maxRow] = [Math.ceil((x + 1) * scale) - 1, Math.ceil((y + 1) * scale) - 1];
+    if ((maxCol - minCol + 1) * (maxRow - minRow + 1) > MAX_TILE_CELLS) {
+      return this.features;
+    }
+
+    const indexes = new Set(this.wideFeatures);
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        this.cells.get(row * cells + col)?.forEach((i) => indexes.add(i));
+      }
+    }
+    return [...indexes].sort((a, b) => a - b).map((i) => this.features[i]);
+  }
+
+  // get GeoJSON features in a tile ("x/y/z" or [x, y, z]), clipped to the tile
+  getTile = (tile) => {
+    const [x, y, z] = typeof tile === 'string' ? tile.split('/').map(Number) : tile;
+    const size = 2 / Math.pow(2, z); // tile size in clip space
+    const box = [-1 + x * size, 1 - (y + 1) * size, -1 + (x + 1) * size, 1 - y * size];
+    const tolerance = this.options.tolerance * (size / TILE_SIZE);
+
+    const features = [];
+    this.getTileFeatures(x, y, z).forEach(({ id, properties, geometry, bbox }) => {
+      if (bbox[0] > box[2] || bbox[2] < box[0] || bbox[1] > box[3] || bbox[3] < box[1]) {
+        return; // not in tile
+      }
+      const clipped = clipGeometry(geometry, box, tolerance);
+      if (clipped) {
+        features.push({
+          type: 'Feature',
+          id,
+          properties,
+          geometry: { type: clipped.type, coordinates: unprojectCoordinates(clipped.coordinates) },
+        });
+      }
+    });
+    return features;
+  }
+}
+
+export default GeoJSONTiler;
@@ -0,0 +1,160 @@
+// canvas generated SDF (signed distance field) glyph atlas
+//
+// glyphs are rendered on demand with the 2d canvas api, converted to a distance field
+// (based on https://github.com/mapbox/tiny-sdf), and packed into a single texture.
+// the distance field lets one atlas render text at any size, with a halo.
+
+export const ATLAS_FONT_SIZE = 24; // size glyphs are rendered at, scaled in the shader
+export const GLYPH_BUFFER = 4; // padding around each glyph for the distance field
+export const SDF_RADIUS = 8; // distance (px) covered by the field
+export const SDF_CUTOFF = 0.25; // where the glyph edge sits in the field (0 - 1)
+
+const INF = 1e20;
+
+// 1D squared euclidean distance transform (Felzenszwalb & Huttenlocher)
+const edt1d = (grid, offset, stride, length, f, v, z) => {
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  f[0] = grid[offset];
+
+  for (let q = 1, k = 0, s = 0; q < length; q++) {
+    f[q] = grid[offset + q * stride];
+    const q2 = q * q;
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q2 - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    const qr = q - r;
+    grid[offset + q * stride] = f[r] + qr * qr;
+  }
+};
+
+// 2D distance transform, columns then rows
+const edt = (grid, width, height) => {
+  const size = Math.max(width, height);
+  const f = new Float64Array(size);
+  const v = new Uint16Array(size);
+  const z = new Float64Array(size + 1);
+  for (let x = 0; x < width; x++) edt1d(grid, x, width, height, f, v, z);
+  for (let y = 0; y < height; y++) edt1d(grid, y * width, 1, width, f, v, z);
+};
+
+class GlyphAtlas {
+  constructor(size = 1024) {
+    this.size = size;
+    this.data = new Uint8Array(size * size); // alpha texture data
+    this.glyphs = {}; // font -> char -> glyph
+    this.dirty = true; // needs texture upload
+
+    // shelf packing position
+    this.cursorX = 0;
+    this.cursorY = 0;
+
+    // all glyph cells share the same height
+    this.cellHeight = Math.ceil(ATLAS_FONT_SIZE * 1.2) + GLYPH_BUFFER * 2;
+
+    // scratch canvas to draw glyphs on
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = ATLAS_FONT_SIZE * 3;
+    this.canvas.height = this.cellHeight;
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  // get glyph metrics (in atlas pixels), rendering it into the atlas if needed
+  getGlyph = (font, char) => {
+    this.glyphs[font] = this.glyphs[font] || {};
+    if (this.glyphs[font][char] === undefined) {
+      this.glyphs[font][char] = this.addGlyph(font, char);
+    }
+    return this.glyphs[font][char];
+  }
+
+  addGlyph = (font, char) => {
+    const { ctx, cellHeight, size } = this;
+    ctx.font = `${ATLAS_FONT_SIZE}px ${font}`;
+    const advance = ctx.measureText(char).width;
+    const width = Math.min(Math.ceil(advance) + GLYPH_BUFFER * 2, this.canvas.width);
+    const height = cellHeight;
+
+    // find space on current shelf, or start a new one
+    if (this.cursorX + width > size) {
+      this.cursorX = 0;
+      this.cursorY += height;
+    }
+    if (this.cursorY + height > size) {
+      console.warn('Glyph atlas is full, skipping glyph:', char);
+      return null;
+    }
+    const x = this.cursorX;
+    const y = this.cursorY;
+    this.cursorX += width;
+
+    // render glyph
+    ctx.clearRect(0, 0, width, height);
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'black';
+    ctx.fillText(char, GLYPH_BUFFER, height / 2);
+    const imageData = ctx.getImageData(0, 0, width, height).data;
+
+    // seed inner & outer distance grids from glyph coverage
+    const outer = new Float64Array(width * height);
+    const inner = new Float64Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      const a = imageData[i * 4 + 3] / 255;
+      if (a === 1) {
+        outer[i] = 0;
+        inner[i] = INF;
+      } else if (a === 0) {
+        outer[i] = INF;
+        inner[i] = 0;
+      } else {
+        const d = 0.5 - a;
+        outer[i] = d > 0 ? d * d : 0;
+        inner[i] = d < 0 ? d * d : 0;
+      }
+    }
+    edt(outer, width, height);
+    edt(inner, width, height);
+
+    // write signed distance into atlas
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const i = row * width + col;
+        const d = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+        const value = Math.round(255 - 255 * (d / SDF_RADIUS + SDF_CUTOFF));
+        this.data[(y + row) * size + x + col] = Math.max(0, Math.min(255, value));
+      }
+    }
+    this.dirty = true;
+
+    return { x, y, width, height, advance };
+  }
+
+  // upload atlas to a texture (only if new glyphs were added)
+  updateTexture = (gl, texture) => {
+    if (!this.dirty) {
+      return;
+    }
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.ALPHA, this.size, this.size, 0, gl.ALPHA, gl.UNSIGNED_BYTE, this.data);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    this.dirty = false;
+  }
+}
+
+export default GlyphAtlas;
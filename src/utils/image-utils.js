@@ -0,0 +1,53 @@
+// helpers for exporting map images, see `toBlob`
+
+// 2d canvas with pixels read from WebGL (rows bottom to top, premultiplied alpha)
+export const pixelsToCanvas = (pixels, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  const rowSize = width * 4;
+  for (let row = 0; row < height; row++) {
+    const from = (height - 1 - row) * rowSize; // flip to top to bottom
+    const to = row * rowSize;
+    for (let i = 0; i < rowSize; i += 4) {
+      const alpha = pixels[from + i + 3];
+      const scale = alpha > 0 ? 255 / alpha : 0; // un-premultiply
+      image.data[to + i] = pixels[from + i] * scale;
+      image.data[to + i + 1] = pixels[from + i + 1] * scale;
+      image.data[to + i + 2] = pixels[from + i + 2] * scale;
+      image.data[to + i + 3] = alpha;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+};
+
+// draw attribution text in the bottom right corner, styled like the map's attribution control
+export const drawAttribution = (canvas, text, pixelRatio = 1) => {
+  const ctx = canvas.getContext('2d');
+  const fontSize = 11 * pixelRatio;
+  const padding = 5 * pixelRatio;
+  ctx.font = `${fontSize}px sans-serif`;
+  const width = ctx.measureText(text).width + padding * 2;
+  const height = fontSize * 1.4;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  ctx.fillRect(canvas.width - width, canvas.height - height, width, height);
+  ctx.fillStyle = '#333';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, canvas.width - width + padding, canvas.height - height / 2);
+};
+
+// encode a canvas as an image blob
+export const canvasToBlob = (canvas, format, quality) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(`Failed to encode image as ${format}.`));
+      }
+    }, format, quality);
+  });
+};
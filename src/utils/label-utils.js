@@ -0,0 +1,151 @@
+import MercatorCoordinate from './mercator-coordinate';
+import { ATLAS_FONT_SIZE, GLYPH_BUFFER } from './glyph-atlas';
+
+// floats per glyph vertex: [screenX, screenY, texU, texV]
+export const LABEL_VERTEX_SIZE = 4;
+
+// label anchors along a line, placed at the middle of the line
+// the direction of the line at the anchor is kept, so the label can be rotated to follow it
+const anchorFromLine = (coordinates) => {
+  const points = coordinates.map((coordinate) => MercatorCoordinate.fromLngLat(coordinate));
+
+  // total length of line
+  const lengths = [];
+  let length = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const dx = points[i + 1][0] - points[i][0];
+    const dy = points[i + 1][1] - points[i][1];
+    lengths.push(Math.sqrt(dx * dx + dy * dy));
+    length += lengths[i];
+  }
+  if (length === 0) {
+    return null;
+  }
+
+  // walk to the segment containing the middle
+  let distance = length / 2;
+  for (let i = 0; i < lengths.length; i++) {
+    if (distance <= lengths[i] && lengths[i] > 0) {
+      const [x1, y1] = points[i];
+      const [x2, y2] = points[i + 1];
+      const t = distance / lengths[i];
+      return {
+        x: x1 + (x2 - x1) * t,
+        y: y1 + (y2 - y1) * t,
+        dirX: (x2 - x1) / lengths[i],
+        dirY: (y2 - y1) / lengths[i],
+        length,
+      };
+    }
+    distance -= lengths[i];
+  }
+  return null;
+};
+
+// label anchor at the centroid of a polygon's outer ring
+const anchorFromPolygon = (coordinates) => {
+  const points = coordinates[0].map((coordinate) => MercatorCoordinate.fromLngLat(coordinate));
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [x1, y1] = points[j];
+    const [x2, y2] = points[i];
+    const f = x1 * y2 - x2 * y1;
+    area += f;
+    cx += (x1 + x2) * f;
+    cy += (y1 + y2) * f;
+  }
+  if (area === 0) {
+    return null;
+  }
+  return { x: cx / (area * 3), y: cy / (area * 3) };
+};
+
+// get label anchors (clip space) for a GeoJSON geometry
+export const getLabelAnchors = (geometry) => {
+  let anchors = [];
+  switch (geometry.type) {
+    case 'Point': {
+      const [x, y] = MercatorCoordinate.fromLngLat(geometry.coordinates);
+      return [{ x, y }];
+    }
+    case 'MultiPoint':
+      return geometry.coordinates.map((point) => {
+        const [x, y] = MercatorCoordinate.fromLngLat(point);
+        return { x, y };
+      });
+    case 'LineString':
+      anchors = [anchorFromLine(geometry.coordinates)];
+      break;
+    case 'MultiLineString':
+      anchors = geometry.coordinates.map(anchorFromLine);
+      break;
+    case 'Polygon':
+      anchors = [anchorFromPolygon(geometry.coordinates)];
+      break;
+    case 'MultiPolygon':
+      anchors = geometry.coordinates.map(anchorFromPolygon);
+      break;
+  }
+  return anchors.filter(Boolean);
+};
+
+// build rotated glyph quads (in screen pixels) for a label, along with collision boxes
+//   glyphs: glyph metrics from the GlyphAtlas
+//   anchor: [x, y] screen position of the label center
+//   angle: rotation in radians
+//   scale: text size / atlas font size
+export const layoutLabel = ({ glyphs, anchor, angle = 0, scale, atlasSize, padding = 0 }) => {
+  const vertices = [];
+  const boxes = [];
+
+  const width = glyphs.reduce((sum, glyph) => sum + (glyph ? glyph.advance : 0), 0) * scale;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const rotate = (x, y) => [
+    anchor[0] + x * cos - y * sin,
+    anchor[1] + x * sin + y * cos,
+  ];
+
+  let pen = -width / 2;
+  glyphs.forEach((glyph) => {
+    if (!glyph) {
+      return;
+    }
+    const x1 = pen - GLYPH_BUFFER * scale;
+    const x2 = x1 + glyph.width * scale;
+    const y1 = -(glyph.height * scale) / 2;
+    const y2 = -y1;
+
+    // texture coordinates
+    const u1 = glyph.x / atlasSize;
+    const v1 = glyph.y / atlasSize;
+    const u2 = (glyph.x + glyph.width) / atlasSize;
+    const v2 = (glyph.y + glyph.height) / atlasSize;
+
+    const tl = rotate(x1, y1);
+    const tr = rotate(x2, y1);
+    const bl = rotate(x1, y2);
+    const br = rotate(x2, y2);
+    vertices.push(
+      ...tl, u1, v1,
+      ...tr, u2, v1,
+      ...bl, u1, v2,
+
+      ...tr, u2, v1,
+      ...br, u2, v2,
+      ...bl, u1, v2,
+    );
+
+    // collision box around the glyph center (ignoring the sdf padding)
+    const advance = glyph.advance * scale;
+    const [cx, cy] = rotate(pen + advance / 2, 0);
+    const half = (ATLAS_FONT_SIZE * scale) / 2 + padding;
+    boxes.push([cx - half, cy - half, cx + half, cy + half]);
+
+    pen += advance;
+  });
+
+  return { vertices, boxes, width };
+};
@@ -0,0 +1,162 @@
+// build triangle geometry for thick lines
+//
+// every vertex is stored as 5 floats:
+//   [x, y, extrudeX, extrudeY, side]
+//
+// x/y is the position on the line (in tile coordinates, see map-utils), and the extrude vector is the direction
+// (scaled to half the line width) the vertex is pushed out to in the vertex shader,
+// so the width of the line stays constant in screen pixels at every zoom level.
+// side is -1 / 1 on the edges of the line and 0 in the center, used for anti-aliasing.
+
+export const LINE_VERTEX_SIZE = 5;
+
+const defaultLineOptions = {
+  join: 'miter', // 'miter', 'round' or 'bevel'
+  cap: 'butt', // 'butt', 'round' or 'square'
+  miterLimit: 2,
+};
+
+// max angle between vertices of round joins and caps
+const ROUND_STEP = Math.PI / 8;
+
+const normalize = ([x, y]) => {
+  const length = Math.sqrt(x * x + y * y);
+  return [x / length, y / length];
+};
+
+// drop repeated points, they have no direction
+const removeDuplicates = (points) => {
+  return points.filter((point, i) => {
+    const prev = points[i - 1];
+    return !prev || prev[0] !== point[0] || prev[1] !== point[1];
+  });
+};
+
+// add a triangle fan around a point, sweeping from `startAngle` by `angle`
+const addFan = (vertices, [x, y], startAngle, angle) => {
+  const steps = Math.max(1, Math.ceil(Math.abs(angle) / ROUND_STEP));
+  for (let i = 0; i < steps; i++) {
+    const a1 = startAngle + angle * (i / steps);
+    const a2 = startAngle + angle * ((i + 1) / steps);
+    vertices.push(
+      x, y, 0, 0, 0,
+      x, y, Math.cos(a1), Math.sin(a1), 1,
+      x, y, Math.cos(a2), Math.sin(a2), 1,
+    );
+  }
+};
+
+// add the outer part of the join between two segments
+const addJoin = (vertices, point, dirA, dirB, options) => {
+  const [x, y] = point;
+  const cross = dirA[0] * dirB[1] - dirA[1] * dirB[0];
+  const dot = dirA[0] * dirB[0] + dirA[1] * dirB[1];
+  if (Math.abs(cross) < 1e-6 && dot > 0) {
+    return; // straight, nothing to fill
+  }
+
+  // outer side of the turn (segments overlap on the inner side)
+  const sign = cross > 0 ? -1 : 1;
+  const normalA = [-dirA[1] * sign, dirA[0] * sign];
+  const normalB = [-dirB[1] * sign, dirB[0] * sign];
+
+  if (options.join === 'round') {
+    const startAngle = Math.atan2(normalA[1], normalA[0]);
+    let angle = Math.atan2(normalB[1], normalB[0]) - startAngle;
+    if (angle > Math.PI) angle -= Math.PI * 2;
+    if (angle < -Math.PI) angle += Math.PI * 2;
+    addFan(vertices, point, startAngle, angle);
+    return;
+  }
+
+  if (options.join === 'miter') {
+    const miter = normalize([normalA[0] + normalB[0], normalA[1] + normalB[1]]);
+    const miterLength = 1 / (miter[0] * normalA[0] + miter[1] * normalA[1]);
+    if (isFinite(miterLength) && miterLength <= options.miterLimit) {
+      const mx = miter[0] * miterLength;
+      const my = miter[1] * miterLength;
+      vertices.push(
+        x, y, 0, 0, 0,
+        x, y, normalA[0], normalA[1], 1,
+        x, y, mx, my, 1,
+
+        x, y, 0, 0, 0,
+        x, y, mx, my, 1,
+        x, y, normalB[0], normalB[1], 1,
+      );
+      return;
+    }
+  }
+
+  // bevel (or miter past the limit)
+  vertices.push(
+    x, y, 0, 0, 0,
+    x, y, normalA[0], normalA[1], 1,
+    x, y, normalB[0], normalB[1], 1,
+  );
+};
+
+// add a cap at the end of a line, `dir` points away from the line
+const addCap = (vertices, point, dir, options) => {
+  const [x, y] = point;
+  const normal = [-dir[1], dir[0]];
+
+  if (options.cap === 'round') {
+    addFan(vertices, point, Math.atan2(normal[1], normal[0]), -Math.PI);
+    return;
+  }
+
+  if (options.cap === 'square') {
+    const [nx, ny] = normal;
+    const [dx, dy] = dir;
+    vertices.push(
+      x, y, nx, ny, 1,
+      x, y, -nx, -ny, -1,
+      x, y, nx + dx, ny + dy, 1,
+
+      x, y, -nx, -ny, -1,
+      x, y, -nx + dx, -ny + dy, -1,
+      x, y, nx + dx, ny + dy, 1,
+    );
+  }
+};
+
+// convert a list of points (tile coordinates) into thick line triangles
+export const buildLineVertices = (linePoints, lineOptions = {}) => {
+  const options = { ...defaultLineOptions, ...lineOptions };
+  const points = removeDuplicates(linePoints);
+  const vertices = [];
+  if (points.length < 2) {
+    return vertices;
+  }
+
+  let prevDir;
+  for (let i = 0; i < points.length - 1; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[i + 1];
+    const dir = normalize([x2 - x1, y2 - y1]);
+    const [nx, ny] = [-dir[1], dir[0]];
+
+    if (prevDir) {
+      addJoin(vertices, points[i], prevDir, dir, options);
+    } else {
+      addCap(vertices, points[i], [-dir[0], -dir[1]], options);
+    }
+
+    // segment quad
+    vertices.push(
+      x1, y1, nx, ny, 1,
+      x1, y1, -nx, -ny, -1,
+      x2, y2, nx, ny, 1,
+
+      x1, y1, -nx, -ny, -1,
+      x2, y2, -nx, -ny, -1,
+      x2, y2, nx, ny, 1,
+    );
+
+    prevDir = dir;
+  }
+  addCap(vertices, points[points.length - 1], prevDir, options);
+
+  return vertices;
+};
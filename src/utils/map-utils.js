@@ -2,44 +2,93 @@ import axios from 'axios';
 import earcut from 'earcut';
 import Protobuf from 'pbf';
 import { VectorTile } from '@mapbox/vector-tile';
+import tilebelt from '@mapbox/tilebelt';
 
 import MercatorCoordinate from './mercator-coordinate';
+import { createFilter, layerAcceptsPrimitive, formatTokens } from './style-utils';
+import { buildLineVertices } from './line-utils';
+import { getLabelAnchors } from './label-utils';
+import { gunzipIfNeeded } from './compression-utils';
+import { getRequestConfig } from './request-utils';
+
+// tile vertices are stored relative to their tile, from 0 to TILE_EXTENT across the tile (y up, like clip space),
+// so they keep their precision at high zoom when stored as 16 bit ints / 32 bit floats.
+// they're drawn with a matrix per tile, see WebGLMap.getTileMatrix
+export const TILE_EXTENT = 8192;
+
+// position & size of a tile [x, y, z] in clip space, from its bottom left corner
+export const getTileOrigin = ([x, y, z]) => {
+  const size = 2 / Math.pow(2, z);
+  return {
+    left: -1 + x * size,
+    bottom: 1 - (y + 1) * size,
+    size,
+  };
+};
+
+// the world repeats horizontally: tiles [x, y, z] of the map with x outside [0, 2^z) are in copies of the world,
+// drawn with the data of the tile at x modulo 2^z
+
+// world copy a tile is in (0 for the main world, -1 to the west of it, 1 to the east, ...)
+export const getTileWrap = ([x, , z]) => {
+  return Math.floor(x / Math.pow(2, z));
+};
+
+// tile of the main world for a tile of any copy
+export const wrapTile = ([x, y, z]) => {
+  const n = Math.pow(2, z);
+  return [((x % n) + n) % n, y, z];
+};
+
+// clip space x into the main world, [-1, 1)
+export const wrapX = (x) => {
+  return ((((x + 1) % 2) + 2) % 2) - 1;
+};
+
+// longitude into [-180, 180)
+export const wrapLng = (lng) => {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+};
+
+// project lng/lat to the coordinates of a tile [x, y, z]
+export const getTileProjection = (tile) => {
+  const { left, bottom, size } = getTileOrigin(tile);
+  return (lngLat) => {
+    const [x, y] = MercatorCoordinate.fromLngLat(lngLat);
+    return [((x - left) / size) * TILE_EXTENT, ((y - bottom) / size) * TILE_EXTENT];
+  };
+};
+
+// 16 bit tile vertices, for polygons & points (clamped, geometry can reach past the tile edges)
+const toInt16Vertices = (vertices) => {
+  const int16Vertices = new Int16Array(vertices.length);
+  for (let i = 0; i < vertices.length; i++) {
+    int16Vertices[i] = Math.max(-32768, Math.min(32767, Math.round(vertices[i])));
+  }
+  return int16Vertices;
+};
 
 // convert a GeoJSON polygon into triangles
-const verticesFromPolygon = (coordinates) => {
+const verticesFromPolygon = (coordinates, project) => {
   const data = earcut.flatten(coordinates);
   const triangles = earcut(data.vertices, data.holes, 2);
 
-  const vertices = new Float32Array(triangles.length * 2);
+  const vertices = new Float64Array(triangles.length * 2);
   for (let i = 0; i < triangles.length; i++) {
     const point = triangles[i];
     const lng = data.vertices[point * 2];
     const lat = data.vertices[point * 2 + 1];
-    const [x, y] = MercatorCoordinate.fromLngLat([lng, lat]);
+    const [x, y] = project([lng, lat]);
     vertices[i * 2] = x;
     vertices[i * 2 + 1] = y;
   }
   return vertices;
 }
 
-// when constructing a line with gl.LINES, every 2 coords are connected,
-// so we always duplicate the last starting point to draw a continuous line
-const verticesFromLine = (coordinates) => {
-
-  // seed with initial line segment
-  const vertices = [
-    ...MercatorCoordinate.fromLngLat(coordinates[0]),
-    ...MercatorCoordinate.fromLngLat(coordinates[1]),
-  ];
-
-  for (let i = 2; i < coordinates.length; i++) {
-    const prevX = vertices[vertices.length - 2];
-    const prevY = vertices[vertices.length - 1];
-    vertices.push(prevX, prevY); // duplicate prev coord
-    vertices.push(...MercatorCoordinate.fromLngLat(coordinates[i]));
-  }
-
-  return vertices;
+// lines are built from triangles, so they can be drawn with a pixel width (see line-utils)
+const verticesFromLine = (coordinates, options, project) => {
+  const points = coordinates.map(project);
+  return buildLineVertices(points, options);
 }
 
 // doing an array.push with too many values can cause
@@ -51,33 +100,44 @@ const append = (arr1, arr2) => {
 };
 
 // convert a GeoJSON geometry to webgl vertices
-export const geometryToVertices = (geometry) => {
+// options are passed through to line building (join, cap, miterLimit)
+//   options.project: projects lng/lat to vertex coordinates (defaults to clip space)
+export const geometryToVertices = (geometry, options = {}) => {
+  const project = options.project || MercatorCoordinate.fromLngLat;
   if (geometry.type === 'Polygon') {
-    return verticesFromPolygon(geometry.coordinates);
+    return verticesFromPolygon(geometry.coordinates, project);
   }
 
   if (geometry.type === 'MultiPolygon') {
     const positions = [];
     geometry.coordinates.forEach((polygon, i) => {
-      append(positions, verticesFromPolygon([polygon[0]]));
+      append(positions, verticesFromPolygon([polygon[0]], project));
     });
     return positions;
   }
 
   if (geometry.type === 'LineString') {
-    return verticesFromLine(geometry.coordinates);
+    return verticesFromLine(geometry.coordinates, options, project);
   }
 
   if (geometry.type === 'MultiLineString') {
     const positions = [];
     geometry.coordinates.forEach((lineString, i) => {
-      append(positions, verticesFromLine(lineString));
+      append(positions, verticesFromLine(lineString, options, project));
     });
     return positions;
   }
 
   if (geometry.type === 'Point') {
-    return MercatorCoordinate.fromLngLat(geometry.coordinates);
+    return project(geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPoint') {
+    const positions = [];
+    geometry.coordinates.forEach((point) => {
+      append(positions, project(point));
+    });
+    return positions;
   }
 
   // unknown or unsupported type
@@ -85,12 +145,49 @@ export const geometryToVertices = (geometry) => {
   return new Float32Array();
 };
 
-const formatTileURL = ({ tile, url }) => {
-  const [x, y, z] = tile.split('/');
-  return url
-    .replace('{x}', x)
-    .replace('{y}', y)
-    .replace('{z}', z);
+// name of the single source layer of GeoJSON tiles
+const GEOJSON_SOURCE_LAYER = 'geojson';
+
+// responses for tiles the server doesn't have (e.g. outside of its coverage), rather than errors
+const EMPTY_TILE_STATUSES = [204, 404];
+
+// subdomains filled in for `{s}`, unless a source sets its own
+const DEFAULT_SUBDOMAINS = ['a', 'b', 'c'];
+
+// fill in a tile URL template:
+//   {x}, {y}, {z}: tile coordinates (`scheme: 'tms'` counts rows from the bottom)
+//   {-y}: row counted from the bottom
+//   {s}: one of `subdomains`
+//   {quadkey}: Bing Maps quadkey
+// neighbouring tiles alternate between subdomains, and between the URLs of `tiles` if there are several
+export const formatTileURL = ({ tile, tiles, scheme = 'xyz', subdomains = DEFAULT_SUBDOMAINS }) => {
+  const [x, y, z] = tile.split('/').map(Number);
+  const i = x + y;
+  const flippedY = Math.pow(2, z) - 1 - y;
+  return tiles[i % tiles.length]
+    .replace(/\{s\}/g, subdomains[i % subdomains.length])
+    .replace(/\{x\}/g, x)
+    .replace(/\{y\}/g, scheme === 'tms' ? flippedY : y)
+    .replace(/\{-y\}/g, flippedY)
+    .replace(/\{z\}/g, z)
+    .replace(/\{quadkey\}/g, tilebelt.tileToQuadkey([x, y, z]));
+};
+
+// request tile data, or null if the server has no tile
+const requestTileData = async (request, responseType, signal) => {
+  try {
+    const res = await axios.get(request.url, {
+      ...getRequestConfig(request),
+      responseType,
+      signal,
+    });
+    return EMPTY_TILE_STATUSES.includes(res.status) ? null : res.data;
+  } catch (e) {
+    if (EMPTY_TILE_STATUSES.includes(e.response?.status)) {
+      return null;
+    }
+    throw e;
+  }
 };
 
 const getLayerPrimitive = (feature) => {
@@ -98,7 +195,7 @@ const getLayerPrimitive = (feature) => {
   if (type === 'Polygon' || type === 'MultiPolygon') {
     return 'polygon';
   }
-  if (type === 'Point') {
+  if (type === 'Point' || type === 'MultiPoint') {
     return 'point';
   }
   if (type === 'LineString' || type === 'MultiLineString') {
@@ -108,46 +205,244 @@ const getLayerPrimitive = (feature) => {
   return 'unknown';
 }
 
-// Fetch tile from server, and convert layer coordinates to vertices
-export const fetchTile = async ({ tile, layers, url }) => {
+// Fetch tile from server (or read it from an archive), and convert features to vertices grouped by style layer
+//   request: `{ url, headers, credentials }` of the tile (see request-utils)
+//   archive: PMTilesArchive or MBTilesArchive to read the tile from, instead of requesting it
+//   includeFeatures: keep the GeoJSON features of each feature set, for querying
+// an AbortSignal `signal` cancels the request, or skips parsing if the tile already arrived
+export const fetchTile = async ({ tile, layers, request, archive, includeFeatures, signal }) => {
   const [x, y, z] = tile.split('/').map(Number);
 
-  const tileURL = formatTileURL({ tile, url });
-  const res = await axios.get(tileURL, {
-    responseType: 'arraybuffer',
-  });
+  let data;
+  if (archive) {
+    data = await archive.getTile(x, y, z, signal);
+  } else {
+    data = await requestTileData(request, 'arraybuffer', signal);
+  }
+  if (signal?.aborted) {
+    throw new Error('Tile request aborted');
+  }
+  if (!data?.byteLength) {
+    return []; // no tile in archive, or on server
+  }
+  data = await gunzipIfNeeded(data);
 
-  const pbf = new Protobuf(res.data);
+  const pbf = new Protobuf(data);
   const vectorTile = new VectorTile(pbf);
 
-  const tileData = [] // layers -> featureSets
-  for (const layer in layers) {
-    if (vectorTile?.layers?.[layer]) {
-      const numFeatures = vectorTile.layers[layer]?._features?.length || 0;
-
-      const polygons = [];
-      const points = [];
-      const lines = [];
-
-      // convert feature to vertices
-      for (let i = 0; i < numFeatures; i++) {
-        const geojson = vectorTile.layers[layer].feature(i).toGeoJSON(x, y, z);
-        const type = getLayerPrimitive(geojson);
-
-        if (type === 'polygon') {
-          polygons.push(...geometryToVertices(geojson.geometry));
-        } else if (type === 'point') {
-          points.push(...geometryToVertices(geojson.geometry));
-        } else if (type === 'line') {
-          lines.push(...geometryToVertices(geojson.geometry));
+  return buildTileData({
+    tile: [x, y, z],
+    layers,
+    includeFeatures,
+    getFeatures: (sourceLayer) => {
+      const layer = vectorTile?.layers?.[sourceLayer];
+      if (!layer) {
+        return null;
+      }
+      const features = [];
+      for (let i = 0; i < layer.length; i++) {
+        features.push(layer.feature(i).toGeoJSON(x, y, z));
+      }
+      return features;
+    },
+  });
+}
+
+// Get a tile from a GeoJSON source (see GeoJSONTiler), and convert features to vertices grouped by style layer
+// GeoJSON sources have a single layer of features, read by every style layer
+export const getGeoJSONTile = ({ tile, layers, tiler, includeFeatures }) => {
+  const features = tiler.getTile(tile);
+  return buildTileData({
+    tile: tile.split('/').map(Number),
+    layers: layers.map((layer) => ({ ...layer, sourceLayer: GEOJSON_SOURCE_LAYER })),
+    includeFeatures,
+    getFeatures: () => features,
+  });
+}
+
+// convert GeoJSON features to vertices (in coordinates of the tile [x, y, z]) grouped by style layer
+//   getFeatures(sourceLayer): features of a source layer, or null if the tile doesn't have the layer
+//   includeFeatures: keep the features of each feature set (only needed for querying, they're copied to the main thread)
+const buildTileData = ({ tile, layers, getFeatures, includeFeatures = true }) => {
+  const project = getTileProjection(tile);
+
+  // group style layers by the source layer they read from
+  const styleLayersBySource = {};
+  layers.forEach((layer) => {
+    const { sourceLayer } = layer;
+    styleLayersBySource[sourceLayer] = styleLayersBySource[sourceLayer] || [];
+    styleLayersBySource[sourceLayer].push({ ...layer, test: createFilter(layer.filter) });
+  });
+
+  // features of each source layer in the tile
+  const sourceFeatures = {};
+  for (const sourceLayer in styleLayersBySource) {
+    sourceFeatures[sourceLayer] = getFeatures(sourceLayer);
+  }
+
+  // vertices per style layer
+  const groups = {};
+  layers.forEach(({ id }) => {
+    groups[id] = {
+      polygon: [],
+      point: [],
+      line: [],
+      symbol: [],
+      icons: [],
+      features: { polygon: [], point: [], line: [] }, // kept for querying rendered features
+    };
+  });
+
+  for (const sourceLayer in styleLayersBySource) {
+    const features = sourceFeatures[sourceLayer] || [];
+
+    // convert feature to vertices
+    features.forEach((geojson) => {
+      const type = getLayerPrimitive(geojson);
+      if (type === 'unknown') {
+        return;
+      }
+
+      let vertices; // only computed if a style layer wants the feature
+      styleLayersBySource[sourceLayer].forEach((layer) => {
+        if (!layerAcceptsPrimitive(layer, type) || !layer.test(geojson)) {
+          return;
+        }
+        if (layer.type === 'symbol') {
+          // labels are placed on the main thread, only keep their anchors & text
+          const text = formatTokens(layer.textField ?? '{name}', geojson.properties).trim();
+          if (text) {
+            getLabelAnchors(geojson.geometry).forEach((anchor) => {
+              groups[layer.id].symbol.push({ ...anchor, text });
+            });
+          }
+          return;
+        }
+        if (includeFeatures) {
+          groups[layer.id].features[type].push(geojson);
+        }
+
+        if (type === 'line') {
+          // line geometry depends on the join & cap of each layer
+          append(groups[layer.id][type], geometryToVertices(geojson.geometry, { ...layer, project }));
+          return;
+        }
+        vertices = vertices || geometryToVertices(geojson.geometry, { project });
+        append(groups[layer.id][type], vertices);
+
+        // keep the sprite icon of every point
+        if (type === 'point' && layer.icon) {
+          const icon = formatTokens(layer.icon, geojson.properties);
+          for (let j = 0; j < vertices.length; j += 2) {
+            groups[layer.id].icons.push(icon);
+          }
+        }
+      });
+    });
+  }
+
+  const tileData = []; // style layers -> featureSets
+  layers.forEach((layer) => {
+    if (!sourceFeatures[layer.sourceLayer]) {
+      return;
+    }
+    if (layer.type === 'symbol') {
+      tileData.push({ layer: layer.id, type: 'symbol', labels: groups[layer.id].symbol });
+      return;
+    }
+    ['polygon', 'point', 'line'].forEach((type) => {
+      if (layerAcceptsPrimitive(layer, type)) {
+        // lines have float extrusion vectors, polygons & points fit in 16 bit ints
+        const vertices = type === 'line'
+          ? Float32Array.from(groups[layer.id][type])
+          : toInt16Vertices(groups[layer.id][type]);
+        const featureSet = { layer: layer.id, type, vertices };
+        if (includeFeatures) {
+          featureSet.features = groups[layer.id].features[type];
+        }
+        if (type === 'point' && layer.icon) {
+          featureSet.icons = groups[layer.id].icons;
         }
+        tileData.push(featureSet);
       }
+    });
+  });
+
+  return tileData;
+}
+
+// image tiles [x, y, z] making up a (512px) tile "x/y/z" of a raster source
+// 256px tiles are fetched as the 4 children of the tile, so every source uses the same tiles
+export const getRasterImageTiles = (tile, tileSize = 512) => {
+  const [x, y, z] = tile.split('/').map(Number);
+  return tileSize === 256
+    ? [[x * 2, y * 2, z + 1], [x * 2 + 1, y * 2, z + 1], [x * 2, y * 2 + 1, z + 1], [x * 2 + 1, y * 2 + 1, z + 1]]
+    : [[x, y, z]];
+}
+
+// Fetch raster tile images from server, as a raster featureSet for each style layer
+//   requests: `{ url, headers, credentials }` of each image tile (see getRasterImageTiles)
+export const fetchRasterTile = async ({ tile, layers, requests, tileSize = 512, signal }) => {
+  const imageTiles = getRasterImageTiles(tile, tileSize);
 
-      tileData.push({ layer, type: 'polygon', vertices: Float32Array.from(polygons) });
-      tileData.push({ layer, type: 'point', vertices: Float32Array.from(points) });
-      tileData.push({ layer, type: 'line', vertices: Float32Array.from(lines) });
+  const rasters = await Promise.all(imageTiles.map(async (imageTile, i) => {
+    const data = await requestTileData(requests[i], 'blob', signal);
+    if (!data?.size) {
+      return null; // no image on server
     }
-  };
+    const image = await createImageBitmap(data, { premultiplyAlpha: 'none' });
+    return {
+      image,
+      width: image.width,
+      height: image.height,
+      vertices: getTileQuad(imageTile, tile.split('/').map(Number)),
+    };
+  })).then((images) => images.filter(Boolean));
+  if (signal?.aborted) {
+    rasters.forEach(({ image }) => image.close());
+    throw new Error('Tile request aborted');
+  }
 
+  // style layers share the images of the tile
+  const tileData = [];
+  layers.forEach((layer) => {
+    rasters.forEach((raster) => {
+      tileData.push({ layer: layer.id, type: 'raster', raster });
+    });
+  });
   return tileData;
 }
+
+// textured quad covering an image tile [x, y, z], as [x, y, texU, texV] triangles in coordinates of `tile`
+const getTileQuad = (imageTile, tile) => {
+  const { left, bottom, size } = getTileOrigin(imageTile);
+  const origin = getTileOrigin(tile);
+  const scale = TILE_EXTENT / origin.size;
+  const x1 = (left - origin.left) * scale;
+  const x2 = (left + size - origin.left) * scale;
+  const y1 = (bottom + size - origin.bottom) * scale; // top
+  const y2 = (bottom - origin.bottom) * scale;
+  return new Float32Array([
+    x1, y1, 0, 0,
+    x2, y1, 1, 0,
+    x1, y2, 0, 1,
+
+    x2, y1, 1, 0,
+    x2, y2, 1, 1,
+    x1, y2, 0, 1,
+  ]);
+}
+
+// Fetch sprite sheet (JSON index + PNG image) from server, following the `{url}.json` / `{url}.png` convention
+//   indexRequest, imageRequest: `{ url, headers, credentials }` of the JSON index & PNG image (see request-utils)
+export const fetchSprite = async ({ indexRequest, imageRequest }) => {
+  const [indexRes, imageRes] = await Promise.all([
+    axios.get(indexRequest.url, { ...getRequestConfig(indexRequest), responseType: 'json' }),
+    axios.get(imageRequest.url, { ...getRequestConfig(imageRequest), responseType: 'arraybuffer' }),
+  ]);
+
+  const blob = new Blob([imageRes.data], { type: 'image/png' });
+  const image = await createImageBitmap(blob, { premultiplyAlpha: 'none' });
+
+  return { index: indexRes.data, image };
+}
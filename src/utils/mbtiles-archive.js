@@ -0,0 +1,105 @@
+import axios from 'axios';
+
+import { getRequestConfig } from './request-utils';
+
+// reader for MBTiles archives: an SQLite database of tiles, opened in memory with sql.js
+//   https://github.com/mapbox/mbtiles-spec/blob/master/1.3/spec.md
+//
+// tiles are stored in TMS order, with rows counted from the bottom
+
+class MBTilesArchive {
+  //   source: URL, File / Blob, or ArrayBuffer of the database
+  //   options.wasmURL: URL of sql.js's `sql-wasm.wasm` file, served next to your app (required)
+  constructor(source, { wasmURL } = {}) {
+    if (!wasmURL) {
+      throw new Error('MBTiles sources need a `wasmURL` for sql.js\'s `sql-wasm.wasm` file.');
+    }
+    this.source = source;
+    this.wasmURL = wasmURL;
+    this.request = null; // `{ url, headers, credentials }` to download a URL source with, see setRequest
+  }
+
+  // set the request used to download the database (if it isn't open yet)
+  setRequest = (request) => {
+    this.request = request;
+  }
+
+  // open the database once (the whole file is loaded into memory)
+  getDatabase = () => {
+    if (!this.database) {
+      this.database = this.openDatabase();
+      this.database.catch(() => {
+        this.database = null; // try again next time
+      });
+    }
+    return this.database;
+  }
+
+  openDatabase = async () => {
+    const { default: initSqlJs } = await import('sql.js');
+    const [SQL, buffer] = await Promise.all([
+      initSqlJs({ locateFile: () => this.wasmURL }),
+      this.getBuffer(),
+    ]);
+    const db = new SQL.Database(new Uint8Array(buffer));
+    this.statement = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+    return db;
+  }
+
+  getBuffer = async () => {
+    const { source } = this;
+    if (source instanceof ArrayBuffer) {
+      return source;
+    }
+    if (source instanceof Blob) {
+      return source.arrayBuffer();
+    }
+    const { request } = this;
+    const res = await axios.get(request?.url || source, { ...getRequestConfig(request), responseType: 'arraybuffer' });
+    return res.data;
+  }
+
+  // zoom range, bounds & attribution from the `metadata` table
+  // (the zoom range is read from the tiles if it isn't set, it's optional in older versions)
+  getMetadata = async () => {
+    const db = await this.getDatabase();
+    const metadata = {};
+    db.exec('SELECT name, value FROM metadata')[0]?.values.forEach(([name, value]) => {
+      metadata[name] = value;
+    });
+
+    let minzoom = metadata.minzoom ? Number(metadata.minzoom) : undefined;
+    let maxzoom = metadata.maxzoom ? Number(metadata.maxzoom) : undefined;
+    if (minzoom === undefined || maxzoom === undefined) {
+      const [[min, max]] = db.exec('SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles')[0].values;
+      minzoom = minzoom ?? min ?? undefined;
+      maxzoom = maxzoom ?? max ?? undefined;
+    }
+    const bounds = metadata.bounds?.split(',').map(Number);
+    return {
+      minzoom,
+      maxzoom,
+      bounds: bounds?.length === 4 && !bounds.some(isNaN) ? bounds : undefined,
+      attribution: metadata.attribution,
+    };
+  }
+
+  // get the data of a tile (as stored, usually gzipped), or null if the archive doesn't have it
+  getTile = async (x, y, z) => {
+    await this.getDatabase();
+    const row = Math.pow(2, z) - 1 - y; // flip to TMS
+    const { statement } = this;
+    try {
+      statement.bind([z, x, row]);
+      if (!statement.step()) {
+        return null;
+      }
+      const data = statement.get()[0]; // Uint8Array
+      return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    } finally {
+      statement.reset();
+    }
+  }
+}
+
+export default MBTilesArchive;
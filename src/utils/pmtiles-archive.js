@@ -0,0 +1,260 @@
+import axios from 'axios';
+
+import { decompress } from './compression-utils';
+import { getRequestConfig } from './request-utils';
+
+// reader for PMTiles (v3) archives: a single file of tiles, read with HTTP range requests
+// (or from a local File / ArrayBuffer)
+//   https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+//
+// the archive starts with a fixed size header, followed by a root directory of tile entries.
+// entries either point to tile data, or to leaf directories with more entries
+
+const HEADER_SIZE = 127;
+const ROOT_FETCH_SIZE = 16384; // header & root directory always fit in the first 16KB
+const MAX_CACHED_DIRECTORIES = 64;
+
+// compression types
+const COMPRESSION = {
+  0: 'unknown',
+  1: 'none',
+  2: 'gzip',
+  3: 'brotli',
+  4: 'zstd',
+};
+
+// 64 bit unsigned int (safe up to 2^53)
+const getUint64 = (view, offset) => {
+  return view.getUint32(offset + 4, true) * 0x100000000 + view.getUint32(offset, true);
+};
+
+// read the header fields
+const parseHeader = (buffer) => {
+  const view = new DataView(buffer);
+  const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 7));
+  if (magic !== 'PMTiles') {
+    throw new Error('Not a PMTiles archive');
+  }
+  const version = view.getUint8(7);
+  if (version !== 3) {
+    throw new Error(`Unsupported PMTiles version: ${version}`);
+  }
+
+  return {
+    rootDirectoryOffset: getUint64(view, 8),
+    rootDirectoryLength: getUint64(view, 16),
+    metadataOffset: getUint64(view, 24),
+    metadataLength: getUint64(view, 32),
+    leafDirectoryOffset: getUint64(view, 40),
+    leafDirectoryLength: getUint64(view, 48),
+    tileDataOffset: getUint64(view, 56),
+    tileDataLength: getUint64(view, 64),
+    internalCompression: COMPRESSION[view.getUint8(97)],
+    tileCompression: COMPRESSION[view.getUint8(98)],
+    tileType: view.getUint8(99), // 1: mvt, 2: png, 3: jpeg, 4: webp, 5: avif
+    minZoom: view.getUint8(100),
+    maxZoom: view.getUint8(101),
+    bounds: [
+      view.getInt32(102, true) / 1e7,
+      view.getInt32(106, true) / 1e7,
+      view.getInt32(110, true) / 1e7,
+      view.getInt32(114, true) / 1e7,
+    ],
+  };
+};
+
+// read a directory: a varint count, followed by columns of
+// tile ids (delta encoded), run lengths, lengths & offsets (0 means right after the previous entry)
+const parseDirectory = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let position = 0;
+  const readVarint = () => {
+    let value = 0;
+    let shift = 1;
+    let byte;
+    do {
+      byte = bytes[position++];
+      value += (byte & 0x7f) * shift;
+      shift *= 128;
+    } while (byte & 0x80);
+    return value;
+  };
+
+  const count = readVarint();
+  const entries = [];
+  let tileId = 0;
+  for (let i = 0; i < count; i++) {
+    tileId += readVarint();
+    entries.push({ tileId, offset: 0, length: 0, runLength: 0 });
+  }
+  entries.forEach((entry) => {
+    entry.runLength = readVarint();
+  });
+  entries.forEach((entry) => {
+    entry.length = readVarint();
+  });
+  entries.forEach((entry, i) => {
+    const value = readVarint();
+    entry.offset = value === 0 && i > 0
+      ? entries[i - 1].offset + entries[i - 1].length
+      : value - 1;
+  });
+  return entries;
+};
+
+// tile ids count up through the zoom levels, following a hilbert curve within each level
+export const getTileId = (x, y, z) => {
+  let id = (Math.pow(4, z) - 1) / 3; // tiles in lower zoom levels
+  for (let s = Math.pow(2, z - 1); s >= 1; s /= 2) {
+    const rx = (x & s) > 0 ? 1 : 0;
+    const ry = (y & s) > 0 ? 1 : 0;
+    id += s * s * ((3 * rx) ^ ry);
+
+    // rotate quadrant
+    if (ry === 0) {
+      if (rx === 1) {
+        x = s - 1 - x;
+        y = s - 1 - y;
+      }
+      [x, y] = [y, x];
+    }
+  }
+  return id;
+};
+
+// entry for a tile id: the last entry starting at or before the id
+const findEntry = (entries, tileId) => {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].tileId < tileId) {
+      low = mid + 1;
+    } else if (entries[mid].tileId > tileId) {
+      high = mid - 1;
+    } else {
+      return entries[mid];
+    }
+  }
+  const entry = entries[high];
+  if (!entry) {
+    return null;
+  }
+  if (entry.runLength === 0) {
+    return entry; // leaf directory, that may contain the tile
+  }
+  return tileId - entry.tileId < entry.runLength ? entry : null;
+};
+
+class PMTilesArchive {
+  // source: URL, File / Blob, or ArrayBuffer of the archive
+  constructor(source) {
+    this.source = source;
+    this.request = null; // `{ url, headers, credentials }` to read a URL source with, see setRequest
+    this.directories = new Map(); // offset -> entries, for leaf directories
+  }
+
+  // set the request used for range requests from now on (e.g. with a refreshed auth token)
+  setRequest = (request) => {
+    this.request = request;
+  }
+
+  // read a range of bytes from the archive
+  getBytes = async (offset, length, signal) => {
+    const { source } = this;
+    if (source instanceof ArrayBuffer) {
+      return source.slice(offset, offset + length);
+    }
+    if (source instanceof Blob) {
+      return source.slice(offset, offset + length).arrayBuffer();
+    }
+
+    const { request } = this;
+    const config = getRequestConfig(request);
+    const res = await axios.get(request?.url || source, {
+      ...config,
+      responseType: 'arraybuffer',
+      headers: { ...config.headers, Range: `bytes=${offset}-${offset + length - 1}` },
+      signal,
+    });
+    if (res.status === 200 && res.data.byteLength > length) {
+      return res.data.slice(offset, offset + length); // server ignored the range
+    }
+    return res.data;
+  }
+
+  // header & root directory, read once
+  getHeader = () => {
+    if (!this.header) {
+      this.header = this.getBytes(0, ROOT_FETCH_SIZE).then(async (buffer) => {
+        const header = parseHeader(buffer.slice(0, HEADER_SIZE));
+        const { rootDirectoryOffset: offset, rootDirectoryLength: length } = header;
+        const root = offset + length <= buffer.byteLength
+          ? buffer.slice(offset, offset + length)
+          : await this.getBytes(offset, length);
+        header.root = parseDirectory(await this.decompress(root, header.internalCompression));
+        return header;
+      });
+      this.header.catch(() => {
+        this.header = null; // try again next time
+      });
+    }
+    return this.header;
+  }
+
+  // zoom range & bounds of the tiles, from the header
+  getMetadata = async () => {
+    const { minZoom, maxZoom, bounds } = await this.getHeader();
+    return { minzoom: minZoom, maxzoom: maxZoom, bounds };
+  }
+
+  decompress = (buffer, compression) => {
+    if (compression === 'none' || compression === 'unknown') {
+      return buffer;
+    }
+    if (compression === 'gzip') {
+      return decompress(buffer, 'gzip');
+    }
+    throw new Error(`Unsupported PMTiles compression: ${compression}`);
+  }
+
+  // read (and cache) a leaf directory
+  getDirectory = async (header, offset, length, signal) => {
+    if (!this.directories.has(offset)) {
+      const buffer = await this.getBytes(header.leafDirectoryOffset + offset, length, signal);
+      const entries = parseDirectory(await this.decompress(buffer, header.internalCompression));
+      if (this.directories.size >= MAX_CACHED_DIRECTORIES) {
+        this.directories.delete(this.directories.keys().next().value); // oldest
+      }
+      this.directories.set(offset, entries);
+    }
+    return this.directories.get(offset);
+  }
+
+  // get the data of a tile (as stored, may still be gzipped), or null if the archive doesn't have it
+  getTile = async (x, y, z, signal) => {
+    const header = await this.getHeader();
+    if (header.tileCompression === 'brotli' || header.tileCompression === 'zstd') {
+      throw new Error(`Unsupported PMTiles tile compression: ${header.tileCompression}`);
+    }
+    if (z < header.minZoom || z > header.maxZoom) {
+      return null;
+    }
+
+    const tileId = getTileId(x, y, z);
+    let entries = header.root;
+    for (let depth = 0; depth < 4; depth++) { // spec allows at most 3 levels of leaves
+      const entry = findEntry(entries, tileId);
+      if (!entry) {
+        return null;
+      }
+      if (entry.runLength > 0) {
+        return this.getBytes(header.tileDataOffset + entry.offset, entry.length, signal);
+      }
+      entries = await this.getDirectory(header, entry.offset, entry.length, signal);
+    }
+    throw new Error('PMTiles directories nested too deep');
+  }
+}
+
+export default PMTilesArchive;
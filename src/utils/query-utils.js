@@ -0,0 +1,139 @@
+// helpers for hit testing features in screen space (pixels)
+//
+// a query is either a point { point: [x, y] }, or a box { box: [minX, minY, maxX, maxY] },
+// and geometry is projected to screen pixels before testing
+
+// convert a GeoJSON geometry into lists of projected points
+//   polygons: [polygon: [ring: [point]]]
+//   lines: [line: [point]]
+//   points: [point]
+export const projectGeometry = (geometry, project) => {
+  const projectAll = (coordinates) => coordinates.map(project);
+  switch (geometry.type) {
+    case 'Point':
+      return { points: [project(geometry.coordinates)] };
+    case 'MultiPoint':
+      return { points: projectAll(geometry.coordinates) };
+    case 'LineString':
+      return { lines: [projectAll(geometry.coordinates)] };
+    case 'MultiLineString':
+      return { lines: geometry.coordinates.map(projectAll) };
+    case 'Polygon':
+      return { polygons: [geometry.coordinates.map(projectAll)] };
+    case 'MultiPolygon':
+      return { polygons: geometry.coordinates.map((polygon) => polygon.map(projectAll)) };
+    default:
+      return {};
+  }
+};
+
+// bounding box of a GeoJSON geometry's coordinates, as [minX, minY, maxX, maxY]
+export const getGeometryBounds = (geometry, transform = (p) => p) => {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  const extend = (coordinates) => {
+    if (typeof coordinates[0] === 'number') {
+      const [x, y] = transform(coordinates);
+      bbox[0] = Math.min(bbox[0], x);
+      bbox[1] = Math.min(bbox[1], y);
+      bbox[2] = Math.max(bbox[2], x);
+      bbox[3] = Math.max(bbox[3], y);
+      return;
+    }
+    coordinates.forEach(extend);
+  };
+  extend(geometry.coordinates);
+  return bbox;
+};
+
+// even-odd test, so holes are handled
+const pointInRings = ([x, y], rings) => {
+  let inside = false;
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  });
+  return inside;
+};
+
+const distanceToSegment = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq > 0 ? ((px - ax) * dx + (py - ay) * dy) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  const x = ax + t * dx - px;
+  const y = ay + t * dy - py;
+  return Math.sqrt(x * x + y * y);
+};
+
+const pointInBox = ([x, y], box) => {
+  return x >= box[0] && x <= box[2] && y >= box[1] && y <= box[3];
+};
+
+const segmentsIntersect = (a, b, c, d) => {
+  const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+};
+
+const segmentIntersectsBox = (a, b, box) => {
+  if (pointInBox(a, box) || pointInBox(b, box)) {
+    return true;
+  }
+  const corners = [[box[0], box[1]], [box[2], box[1]], [box[2], box[3]], [box[0], box[3]]];
+  return corners.some((corner, i) => segmentsIntersect(a, b, corner, corners[(i + 1) % 4]));
+};
+
+const lineHits = (line, query, tolerance) => {
+  for (let i = 0; i < line.length - 1; i++) {
+    if (query.point && distanceToSegment(query.point, line[i], line[i + 1]) <= tolerance) {
+      return true;
+    }
+    if (query.box && segmentIntersectsBox(line[i], line[i + 1], query.box)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// check if projected geometry is hit by a query
+//   tolerance: distance in pixels a line (or point) can be from the query point
+//   pointBox: [minX, minY, maxX, maxY] hit area of a point, relative to the point (e.g. an icon)
+export const geometryHits = ({ points = [], lines = [], polygons = [] }, query, { tolerance = 0, pointBox } = {}) => {
+  const hitPoint = points.some(([x, y]) => {
+    const box = pointBox
+      ? [x + pointBox[0], y + pointBox[1], x + pointBox[2], y + pointBox[3]]
+      : [x - tolerance, y - tolerance, x + tolerance, y + tolerance];
+    if (query.point) {
+      return pointInBox(query.point, box);
+    }
+    return box[0] <= query.box[2] && box[2] >= query.box[0] && box[1] <= query.box[3] && box[3] >= query.box[1];
+  });
+  if (hitPoint) {
+    return true;
+  }
+
+  if (lines.some((line) => lineHits(line, query, tolerance))) {
+    return true;
+  }
+
+  return polygons.some((rings) => {
+    if (query.point) {
+      return pointInRings(query.point, rings);
+    }
+    const { box } = query;
+    const corners = [[box[0], box[1]], [box[2], box[1]], [box[2], box[3]], [box[0], box[3]]];
+    return (
+      rings.some((ring) => lineHits(ring, query, tolerance)) ||
+      corners.some((corner) => pointInRings(corner, rings))
+    );
+  });
+};
@@ -0,0 +1,34 @@
+// helpers for requests customized with the `transformRequest` option
+//
+// `transformRequest(url, resourceType)` runs on the main thread (functions can't be sent to workers),
+// and the resulting `{ url, headers, credentials }` requests are sent to the tile workers with each job
+
+// kinds of resources passed to `transformRequest`
+export const RESOURCE_TYPES = {
+  SOURCE: 'Source', // TileJSON documents & tile archives
+  TILE: 'Tile', // vector & raster tiles
+  SPRITE_JSON: 'SpriteJSON',
+  SPRITE_IMAGE: 'SpriteImage',
+};
+
+// get the request for a URL, keeping only the (serializable) fields the workers use:
+//   url: URL to fetch instead
+//   headers: extra request headers, e.g. `{ Authorization: 'Bearer ...' }`
+//   credentials: 'same-origin' (default), 'include' to send cookies cross-origin, or 'omit'
+// `transformRequest` can return null / undefined to leave the request unchanged
+export const getRequest = (transformRequest, url, resourceType) => {
+  const transformed = transformRequest?.(url, resourceType) || {};
+  return {
+    url: transformed.url || url,
+    headers: transformed.headers,
+    credentials: transformed.credentials,
+  };
+};
+
+// axios config for a request (axios only distinguishes sending cookies cross-origin or not)
+export const getRequestConfig = (request) => {
+  return {
+    headers: request?.headers,
+    withCredentials: request?.credentials === 'include',
+  };
+};
@@ -0,0 +1,89 @@
+// helpers for drawing point icons from a sprite sheet
+//
+// a sprite sheet is an image with a JSON index of the icons in it:
+//   { "airport_11": { "x": 0, "y": 0, "width": 22, "height": 22, "pixelRatio": 2 }, ... }
+
+// floats per icon vertex: [x, y, offsetX, offsetY, texU, texV]
+export const ICON_VERTEX_SIZE = 6;
+
+// position of the point relative to the icon (0 - 1 across and down the icon)
+const iconAnchors = {
+  center: [0.5, 0.5],
+  top: [0.5, 0],
+  bottom: [0.5, 1],
+  left: [0, 0.5],
+  right: [1, 0.5],
+  'top-left': [0, 0],
+  'top-right': [1, 0],
+  'bottom-left': [0, 1],
+  'bottom-right': [1, 1],
+};
+
+// screen pixel box [minX, minY, maxX, maxY] covered by an icon, relative to its point (ignoring rotation)
+export const getIconBox = (sprite, layer, iconName) => {
+  const icon = sprite?.index?.[iconName];
+  if (!icon) {
+    return null;
+  }
+  const [anchorX, anchorY] = iconAnchors[layer.iconAnchor] || iconAnchors.center;
+  const iconSize = layer.iconSize ?? 1;
+  const width = (icon.width / (icon.pixelRatio || 1)) * iconSize;
+  const height = (icon.height / (icon.pixelRatio || 1)) * iconSize;
+  const x1 = -anchorX * width;
+  const y1 = -anchorY * height;
+  return [x1, y1, x1 + width, y1 + height];
+};
+
+// build icon quads for a point feature set, the quad corners are
+// offset from the point in screen pixels, so icons keep their size while zooming
+export const buildIconVertices = ({ vertices: points, icons }, sprite, layer) => {
+  const { index, width: spriteWidth, height: spriteHeight } = sprite;
+  const [anchorX, anchorY] = iconAnchors[layer.iconAnchor] || iconAnchors.center;
+  const iconSize = layer.iconSize ?? 1;
+  const rotation = ((layer.iconRotate ?? 0) * Math.PI) / 180;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  const vertices = [];
+  for (let i = 0; i < icons.length; i++) {
+    const icon = index[icons[i]];
+    if (!icon) {
+      continue; // not in sprite sheet
+    }
+    const x = points[i * 2];
+    const y = points[i * 2 + 1];
+
+    // icon size in screen pixels
+    const width = (icon.width / (icon.pixelRatio || 1)) * iconSize;
+    const height = (icon.height / (icon.pixelRatio || 1)) * iconSize;
+
+    // corners relative to anchor, rotated clockwise (screen y points down)
+    const x1 = -anchorX * width;
+    const x2 = x1 + width;
+    const y1 = -anchorY * height;
+    const y2 = y1 + height;
+    const corner = (cx, cy) => [cx * cos - cy * sin, cx * sin + cy * cos];
+
+    // texture coordinates
+    const u1 = icon.x / spriteWidth;
+    const v1 = icon.y / spriteHeight;
+    const u2 = (icon.x + icon.width) / spriteWidth;
+    const v2 = (icon.y + icon.height) / spriteHeight;
+
+    const tl = corner(x1, y1);
+    const tr = corner(x2, y1);
+    const bl = corner(x1, y2);
+    const br = corner(x2, y2);
+    vertices.push(
+      x, y, ...tl, u1, v1,
+      x, y, ...tr, u2, v1,
+      x, y, ...bl, u1, v2,
+
+      x, y, ...tr, u2, v1,
+      x, y, ...br, u2, v2,
+      x, y, ...bl, u1, v2,
+    );
+  }
+
+  return new Float32Array(vertices);
+};
@@ -0,0 +1,158 @@
+// helpers for working with style layers
+//
+// a style layer picks features from a source layer (optionally narrowed by a filter),
+// and describes how that group of features should be drawn:
+//
+//   {
+//     id: 'motorway',
+//     source: 'default', // optional: source id (the `tileServerURL` tiles if omitted)
+//     sourceLayer: 'transportation',
+//     type: 'line', // optional: 'fill', 'line', 'point', 'symbol' or 'raster' (all geometry if omitted)
+//     filter: ['all', ['==', 'class', 'motorway'], ['!=', 'brunnel', 'tunnel']],
+//     color: [233, 144, 160, 255],
+//     opacity: 1,
+//     visible: true,
+//   }
+
+// id of the source for the `tileServerURL` tiles
+export const DEFAULT_SOURCE = 'default';
+
+const defaultLayer = {
+  source: DEFAULT_SOURCE,
+  opacity: 1,
+  visible: true,
+};
+
+// geometry primitive each layer type renders
+const layerPrimitives = {
+  fill: 'polygon',
+  line: 'line',
+  point: 'point',
+};
+
+// convert the `layers` option into a list of style layers
+// the legacy `{ water: [r, g, b, a] }` shape maps every source layer to a single layer
+export const normalizeLayers = (layers = []) => {
+  if (Array.isArray(layers)) {
+    return layers.map((layer) => ({
+      ...defaultLayer,
+      sourceLayer: layer.id,
+      ...layer,
+    }));
+  }
+
+  return Object.keys(layers).map((id) => ({
+    ...defaultLayer,
+    id,
+    sourceLayer: id,
+    color: layers[id],
+  }));
+};
+
+// check if a style layer renders a given geometry primitive
+export const layerAcceptsPrimitive = (layer, primitive) => {
+  if (!layer.type) {
+    return true; // untyped layers render all geometry
+  }
+  if (layer.type === 'symbol') {
+    return true; // labels can be placed on any geometry
+  }
+  return layerPrimitives[layer.type] === primitive;
+};
+
+// replace `{property}` tokens in a template with feature properties
+// e.g. '{name}' or '{class}_11'
+export const formatTokens = (template, properties = {}) => {
+  if (!template) {
+    return '';
+  }
+  return String(template).replace(/{([^{}]+)}/g, (match, key) => properties[key] ?? '');
+};
+
+// RGBA (0 - 255) color of a layer, with layer opacity applied to alpha, in WebGL (0 - 1) range
+export const getLayerColor = (layer) => {
+  const [r, g, b, a = 255] = layer.color || [0, 0, 0, 255];
+  const opacity = layer.opacity ?? 1;
+  return [r / 255, g / 255, b / 255, (a / 255) * opacity];
+};
+
+//////////////
+// filters
+//////////////
+
+// GeoJSON geometry type names, as used by `$type`
+const geometryTypes = {
+  Point: 'Point',
+  MultiPoint: 'Point',
+  LineString: 'LineString',
+  MultiLineString: 'LineString',
+  Polygon: 'Polygon',
+  MultiPolygon: 'Polygon',
+};
+
+const getFeatureValue = (feature, key) => {
+  if (key === '$type') {
+    return geometryTypes[feature.geometry?.type];
+  }
+  if (key === '$id') {
+    return feature.id;
+  }
+  return feature.properties?.[key];
+};
+
+// compile a filter expression into a predicate function, supports:
+//   ['has', key], ['!has', key]
+//   ['==', key, value], ['!=', key, value], ['<', key, value], ['<=', ...], ['>', ...], ['>=', ...]
+//   ['in', key, ...values], ['!in', key, ...values]
+//   ['all', ...filters], ['any', ...filters], ['none', ...filters]
+// keys can also be `$type` (Point, LineString, Polygon) or `$id`
+export const createFilter = (filter) => {
+  if (!filter) {
+    return () => true;
+  }
+
+  const [op, ...args] = filter;
+  switch (op) {
+    case 'all': {
+      const filters = args.map(createFilter);
+      return (feature) => filters.every((f) => f(feature));
+    }
+    case 'any': {
+      const filters = args.map(createFilter);
+      return (feature) => filters.some((f) => f(feature));
+    }
+    case 'none': {
+      const filters = args.map(createFilter);
+      return (feature) => !filters.some((f) => f(feature));
+    }
+    case 'has':
+      return (feature) => getFeatureValue(feature, args[0]) !== undefined;
+    case '!has':
+      return (feature) => getFeatureValue(feature, args[0]) === undefined;
+    case 'in': {
+      const [key, ...values] = args;
+      const lookup = new Set(values);
+      return (feature) => lookup.has(getFeatureValue(feature, key));
+    }
+    case '!in': {
+      const [key, ...values] = args;
+      const lookup = new Set(values);
+      return (feature) => !lookup.has(getFeatureValue(feature, key));
+    }
+    case '==':
+      return (feature) => getFeatureValue(feature, args[0]) === args[1];
+    case '!=':
+      return (feature) => getFeatureValue(feature, args[0]) !== args[1];
+    case '<':
+      return (feature) => getFeatureValue(feature, args[0]) < args[1];
+    case '<=':
+      return (feature) => getFeatureValue(feature, args[0]) <= args[1];
+    case '>':
+      return (feature) => getFeatureValue(feature, args[0]) > args[1];
+    case '>=':
+      return (feature) => getFeatureValue(feature, args[0]) >= args[1];
+    default:
+      console.warn('Unsupported filter:', op);
+      return () => false;
+  }
+};
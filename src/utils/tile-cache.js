@@ -0,0 +1,118 @@
+// least recently used cache of tile feature sets
+//
+// tiles are evicted once the cache holds more than `maxTiles` tiles, or more than `maxBytes`
+// of (approximate) tile data, starting with the tiles used longest ago
+
+// rough size of a decoded GeoJSON feature (without its coordinates), a [lng, lat] position in it,
+// and a label, kept for querying / placement
+const FEATURE_BYTES = 256;
+const POSITION_BYTES = 48;
+const LABEL_BYTES = 64;
+
+// number of positions in nested GeoJSON coordinates
+const countPositions = (coordinates) => {
+  if (typeof coordinates[0] === 'number') {
+    return 1;
+  }
+  return coordinates.reduce((count, c) => count + countPositions(c), 0);
+};
+
+// approximate memory used by a tile's feature sets, in bytes
+export const getTileBytes = (featureSets = []) => {
+  return featureSets.reduce((bytes, featureSet) => {
+    bytes += featureSet.vertices?.byteLength || 0;
+    featureSet.features?.forEach(({ geometry }) => {
+      bytes += FEATURE_BYTES + countPositions(geometry.coordinates) * POSITION_BYTES;
+    });
+    bytes += (featureSet.labels?.length || 0) * LABEL_BYTES;
+    if (featureSet.raster) {
+      bytes += featureSet.raster.width * featureSet.raster.height * 4; // RGBA texture
+    }
+    return bytes;
+  }, 0);
+};
+
+class TileCache {
+  //   maxTiles: max number of tiles to keep
+  //   maxBytes: max (approximate) bytes of tile data to keep
+  //   onEvict: called with (key, featureSets) when a tile is removed, to free GPU resources
+  constructor({ maxTiles = 512, maxBytes = 256 * 1024 * 1024, onEvict = () => {} } = {}) {
+    this.maxTiles = maxTiles;
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict;
+
+    this.tiles = new Map(); // key -> { featureSets, bytes }, in order of use (oldest first)
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  has = (key) => {
+    return this.tiles.has(key);
+  }
+
+  // get a tile's feature sets, marking it as recently used
+  get = (key) => {
+    const entry = this.tiles.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    // re-insert to move to the end (most recently used)
+    this.tiles.delete(key);
+    this.tiles.set(key, entry);
+    return entry.featureSets;
+  }
+
+  // add or replace a tile
+  set = (key, featureSets) => {
+    this.delete(key);
+    const bytes = getTileBytes(featureSets);
+    this.tiles.set(key, { featureSets, bytes });
+    this.bytes += bytes;
+  }
+
+  // remove a tile, freeing its resources
+  delete = (key) => {
+    const entry = this.tiles.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.tiles.delete(key);
+    this.bytes -= entry.bytes;
+    this.onEvict(key, entry.featureSets);
+    return true;
+  }
+
+  // remove all tiles
+  clear = () => {
+    [...this.tiles.keys()].forEach(this.delete);
+  }
+
+  // evict least recently used tiles until within limits, never evicting tiles in `retain`
+  prune = (retain = new Set()) => {
+    for (const key of [...this.tiles.keys()]) {
+      if (this.tiles.size <= this.maxTiles && this.bytes <= this.maxBytes) {
+        return;
+      }
+      if (!retain.has(key)) {
+        this.delete(key);
+        this.evictions++;
+      }
+    }
+  }
+
+  keys = () => {
+    return [...this.tiles.keys()];
+  }
+
+  getStats = () => {
+    return {
+      tiles: this.tiles.size,
+      bytes: this.bytes,
+      maxTiles: this.maxTiles,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions,
+    };
+  }
+}
+
+export default TileCache;
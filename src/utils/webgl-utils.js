@@ -27,9 +27,52 @@ export const getPrimitiveType = (gl, type) => {
   switch (type) {
     case 'point':
       return gl.POINTS;
-    case 'line':
-      return gl.LINES;
-    default: // polygon
+    default: // polygon, line (built from triangles)
       return gl.TRIANGLES;
   }
 };
+
+// look up the locations of all attributes & uniforms of a program, by name
+export const getLocations = (gl, program) => {
+  const locations = {};
+  const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+  for (let i = 0; i < attributeCount; i++) {
+    const { name } = gl.getActiveAttrib(program, i);
+    locations[name] = gl.getAttribLocation(program, name);
+  }
+  const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < uniformCount; i++) {
+    const { name } = gl.getActiveUniform(program, i);
+    locations[name] = gl.getUniformLocation(program, name);
+  }
+  return locations;
+};
+
+// offscreen framebuffer of `width` x `height` pixels, with a stencil buffer (for clipping tiles)
+export const createFramebuffer = (gl, width, height) => {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  // webgl 1 only guarantees stencil buffers combined with depth
+  const renderbuffer = gl.createRenderbuffer();
+  gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+  gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, width, height);
+  gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, renderbuffer);
+  const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  return { framebuffer, texture, renderbuffer, complete };
+};
+
+export const deleteFramebuffer = (gl, { framebuffer, texture, renderbuffer }) => {
+  gl.deleteFramebuffer(framebuffer);
+  gl.deleteRenderbuffer(renderbuffer);
+  gl.deleteTexture(texture);
+};
@@ -0,0 +1,134 @@
+// pool of web workers with a priority queue of jobs
+//
+// jobs wait in the queue (on the main thread) until a worker slot is free, so they can
+// still be re-prioritized or cancelled. the lowest priority value is sent first.
+// workers receive `{ ...message, id }`, and must reply with the same `id` when the job is done,
+// or handle `{ type: 'abort', id }` by dropping the job (and still replying).
+// a message can also be a function, called when the job is sent (so it's up to date)
+// jobs can be pinned to a worker (by index), e.g. one that holds data the others don't have
+class WorkerPool {
+  //   createWorker: returns a new Worker
+  //   size: number of workers
+  //   maxJobs: max jobs in progress across all workers
+  //   onMessage: called with worker message events (except for cancelled jobs)
+  //   onError: called with uncaught worker errors
+  constructor({ createWorker, size = 2, maxJobs = 8, onMessage = () => {}, onError = () => {} }) {
+    this.maxJobs = maxJobs;
+    this.onMessage = onMessage;
+
+    this.workers = [];
+    for (let i = 0; i < Math.max(1, size); i++) {
+      const worker = createWorker();
+      worker.onmessage = this.handleMessage;
+      worker.onerror = onError;
+      this.workers.push({ worker, jobs: 0 });
+    }
+
+    this.queue = new Map(); // key -> job, waiting for a worker
+    this.running = new Map(); // id -> job, sent to a worker
+    this.nextId = 1;
+    this.dispatchPending = false;
+  }
+
+  // queue a job, or update the priority of a job still waiting
+  // (sent to the least busy worker, or to `worker` if it's set)
+  request = (key, message, priority = 0, worker) => {
+    const queued = this.queue.get(key);
+    if (queued) {
+      queued.priority = priority;
+      return;
+    }
+    if (this.isRunning(key)) {
+      return;
+    }
+    this.queue.set(key, { key, message, priority, worker });
+    this.scheduleDispatch();
+  }
+
+  // drop a job, aborting it if a worker already started it
+  cancel = (key) => {
+    if (this.queue.delete(key)) {
+      return;
+    }
+    this.running.forEach((job, id) => {
+      if (job.key === key && !job.cancelled) {
+        job.cancelled = true;
+        job.slot.worker.postMessage({ type: 'abort', id });
+      }
+    });
+  }
+
+  // check if a (not cancelled) job is in progress
+  isRunning = (key) => {
+    return [...this.running.values()].some((job) => job.key === key && !job.cancelled);
+  }
+
+  // send a message outside of the queue (to the first worker, or to `worker`)
+  post = (message, transfer, worker = 0) => {
+    this.workers[worker].worker.postMessage(message, transfer);
+  }
+
+  // send a message outside of the queue to every worker (e.g. data they all need)
+  broadcast = (message) => {
+    this.workers.forEach(({ worker }) => worker.postMessage(message));
+  }
+
+  // dispatch once the current task is done, so a batch of requests is sorted by priority first
+  scheduleDispatch = () => {
+    if (this.dispatchPending) {
+      return;
+    }
+    this.dispatchPending = true;
+    Promise.resolve().then(() => {
+      this.dispatchPending = false;
+      this.dispatch();
+    });
+  }
+
+  // send queued jobs to the least busy workers, highest priority first
+  dispatch = () => {
+    while (this.queue.size > 0 && this.running.size < this.maxJobs) {
+      let next;
+      this.queue.forEach((job) => {
+        if (!next || job.priority < next.priority) {
+          next = job;
+        }
+      });
+      this.queue.delete(next.key);
+
+      const slot = next.worker !== undefined
+        ? this.workers[next.worker]
+        : this.workers.reduce((a, b) => (b.jobs < a.jobs ? b : a));
+      const id = this.nextId++;
+      slot.jobs++;
+      this.running.set(id, { ...next, slot });
+      const message = typeof next.message === 'function' ? next.message() : next.message;
+      slot.worker.postMessage({ ...message, id });
+    }
+  }
+
+  handleMessage = (event) => {
+    const { id } = event.data;
+    const job = this.running.get(id);
+    if (!job) {
+      this.onMessage(event); // not a queued job
+      return;
+    }
+
+    this.running.delete(id);
+    job.slot.jobs--;
+    if (!job.cancelled) {
+      this.onMessage(event);
+    }
+    this.dispatch();
+  }
+
+  // stop all workers
+  terminate = () => {
+    this.workers.forEach(({ worker }) => worker.terminate());
+    this.queue.clear();
+    this.running.clear();
+  }
+}
+
+export default WorkerPool;
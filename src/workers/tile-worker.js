@@ -1,14 +1,112 @@
-import { fetchTile } from '../utils/map-utils';
+import { fetchTile, fetchRasterTile, fetchSprite, getGeoJSONTile } from '../utils/map-utils';
+import GeoJSONTiler from '../utils/geojson-tiler';
+import PMTilesArchive from '../utils/pmtiles-archive';
+import MBTilesArchive from '../utils/mbtiles-archive';
+
+const controllers = {}; // job id -> AbortController, for tiles in progress
+const sources = {}; // source id -> source, with a `reader` for GeoJSON data & archives
+
+// create the reader that tiles of a source are read from
+const createReader = (source) => {
+  switch (source.type) {
+    case 'geojson':
+      return new GeoJSONTiler(source.data, { tolerance: source.tolerance });
+    case 'pmtiles':
+      return new PMTilesArchive(source.data ?? source.url);
+    case 'mbtiles':
+      return new MBTilesArchive(source.data ?? source.url, { wasmURL: source.wasmURL });
+    default:
+      return null; // fetched from `tiles` URL
+  }
+};
+
+// send the zoom range & bounds of an archive to the map, so it only requests tiles the archive has
+const postMetadata = async (id, reader) => {
+  let message;
+  try {
+    message = { type: 'metadata', id, metadata: await reader.getMetadata() };
+  } catch (e) {
+    console.warn('Worker error.', e);
+    message = { type: 'metadata', id, error: e.message };
+  }
+  if (sources[id]?.reader === reader) { // not replaced or removed in the meantime
+    postMessage(message);
+  }
+};
 
 addEventListener('message', async (event) => {
-  const { tile, layers, url } = event.data;
+  const { type = 'tile' } = event.data;
+
+  if (type === 'abort') {
+    controllers[event.data.id]?.abort();
+    return;
+  }
+
+  // add or replace a source, or remove it when there's no `source`
+  if (type === 'source') {
+    const { id, source } = event.data;
+    if (source) {
+      const reader = createReader(source);
+      sources[id] = { ...source, reader };
+      if (source.request) {
+        reader.setRequest(source.request); // archive URL, with headers
+      }
+      if (reader?.getMetadata) {
+        postMetadata(id, reader);
+      }
+    } else {
+      delete sources[id];
+    }
+    return;
+  }
+
+  if (type === 'sprite') {
+    const { indexRequest, imageRequest } = event.data;
+    try {
+      const { index, image } = await fetchSprite({ indexRequest, imageRequest });
+      postMessage({ type, index, image }, [image]);
+    } catch (e) {
+      console.warn('Worker error.', e);
+      postMessage({ type }); // missing sprite, icons won't be drawn
+    }
+    return;
+  }
+
+  const { id, tile, source, layers, requests = [], includeFeatures } = event.data;
+  const controller = new AbortController();
+  controllers[id] = controller;
 
   try {
-    const tileData = await fetchTile({ tile, layers, url });
-    postMessage({ tile, tileData });
+    const { type: sourceType, reader, tileSize } = sources[source] || {};
+    if (!sourceType) {
+      throw new Error(`Unknown source: ${source}`);
+    }
+    if (requests[0] && reader?.setRequest) {
+      reader.setRequest(requests[0]); // archive URL, with the latest headers
+    }
+
+    let tileData;
+    const { signal } = controller;
+    if (sourceType === 'geojson') {
+      tileData = getGeoJSONTile({ tile, layers, tiler: reader, includeFeatures });
+    } else if (sourceType === 'raster') {
+      tileData = await fetchRasterTile({ tile, layers, requests, tileSize, signal });
+    } else {
+      tileData = await fetchTile({ tile, layers, request: requests[0], archive: reader, includeFeatures, signal });
+    }
+
+    // raster images are transferred, not copied
+    const images = new Set(tileData.filter((featureSet) => featureSet.raster).map(({ raster }) => raster.image));
+    postMessage({ type, id, tile, source, tileData }, [...images]);
 
   } catch (e) {
-    console.warn('Worker error.', e);
-    postMessage({ tile }); // undefined tileData will unset cache hold
+    if (controller.signal.aborted) {
+      postMessage({ type, id, tile, source, aborted: true }); // no longer needed
+    } else {
+      console.warn('Worker error.', e);
+      postMessage({ type, id, tile, source, error: e.message, status: e.response?.status }); // HTTP status, if any
+    }
+  } finally {
+    delete controllers[id];
   }
 });